@@ -0,0 +1,245 @@
+import { authenticate, authorize, combineKeyStores, createStaticKeyStore, loadKeysFile, requireAdmin } from "./auth.ts";
+import type { KeyStore } from "./auth.ts";
+import { createBreakerRegistry } from "./breaker.ts";
+import {
+  cacheDirectives,
+  cachedProvider,
+  cacheKey,
+  createKvCache,
+  createMemoryCache,
+  createResponseCache,
+  createTieredCache,
+} from "./cache.ts";
+import type { Config } from "./config.ts";
+import { ApiError } from "./errors.ts";
+import { json } from "./helpers.ts";
+import { createKeyRoutes, createKeyStore } from "./keys.ts";
+import { createMetrics } from "./metrics.ts";
+import { basePath, cors, createPipeline, forwardedFor, httpMetrics, requestId, requestLogger } from "./middleware.ts";
+import type { ConnectionInfo, Context, Middleware } from "./middleware.ts";
+import { createChatCompletionsHandler, modelsHandler } from "./openai.ts";
+import { readParams, required } from "./params.ts";
+import type { Params } from "./params.ts";
+import { createRouteProviders } from "./providers/mod.ts";
+import type { Capability, GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+import { createQuotaRoutes, createQuotaStore, refundOnFailure } from "./quota.ts";
+import { createKvBucketStore, createMemoryBucketStore, createRateLimiter, rateLimitHeaders } from "./ratelimit.ts";
+import { createRouter, prefix } from "./router.ts";
+import type { Route, RouteMiddleware, RouteParams } from "./router.ts";
+import { createSessionRoutes, createSessionStore } from "./sessions.ts";
+import { createSemanticCache } from "./semantic.ts";
+import { streamEnvelope, wantsEventStream } from "./streaming.ts";
+import { trimToBudget } from "./tokens.ts";
+import { createUsageRoutes, createUsageStore, usageRecorder } from "./usage.ts";
+
+export type Handler = (request: Request, connection?: ConnectionInfo) => Promise<Response>;
+
+function options(params: Params) {
+  return { temperature: params.temperature, maxTokens: params.maxTokens };
+}
+
+export interface AppOptions {
+  kv?: Deno.Kv;
+  keys?: KeyStore;
+  middleware?: Middleware[];
+}
+
+export async function createApp(config: Config, appOptions: AppOptions = {}): Promise<Handler> {
+  const metrics = createMetrics();
+  const breakers = createBreakerRegistry(config.breaker, metrics);
+  const providers = createRouteProviders(config, metrics, breakers);
+  const kv = appOptions.kv ?? await Deno.openKv(config.storePath);
+  const sessions = createSessionStore(kv);
+  const managedKeys = createKeyStore(kv);
+  const usage = createUsageStore(kv);
+  const limiter = createRateLimiter(
+    config.rateLimit,
+    config.rateLimit.store === "kv" ? createKvBucketStore(kv) : createMemoryBucketStore(),
+  );
+  const quotas = createQuotaStore(kv);
+  const cache = config.cache.ttlSeconds > 0
+    ? createResponseCache(
+      config.cache.store === "kv"
+        ? createTieredCache(createMemoryCache(config.cache.maxEntries), createKvCache(kv))
+        : createMemoryCache(config.cache.maxEntries),
+      config.cache.ttlSeconds,
+    )
+    : undefined;
+  const semantic = cache && config.cache.semanticThreshold !== undefined
+    ? createSemanticCache(config.cache.semanticThreshold, config.cache.ttlSeconds, config.cache.maxEntries)
+    : undefined;
+  const admit = async (ctx: Context, capability: Capability) => {
+    authorize(ctx, capability);
+    await limiter.check(ctx, capability);
+  };
+  const charge = async (ctx: Context, capability: Capability, provider: Provider): Promise<Provider> => {
+    const key = ctx.apiKey;
+    if (!key) {
+      return provider;
+    }
+    const units = config.rateLimit.costs[capability];
+    const consumedAt = new Date();
+    await quotas.consume(key, units, consumedAt);
+    return refundOnFailure(provider, () => quotas.refund(key, units, consumedAt));
+  };
+  const admitting = (capability: Capability): RouteMiddleware => async (_req, _params, next, ctx) => {
+    await admit(ctx, capability);
+    return next();
+  };
+  const chatCompletionsHandler = createChatCompletionsHandler(providers, async (ctx, capability, provider) => {
+    await admit(ctx, capability);
+    return charge(ctx, capability, provider);
+  });
+  const keys = appOptions.keys ?? combineKeyStores([
+    createStaticKeyStore(config.auth.keysFile ? loadKeysFile(config.auth.keysFile) : []),
+    managedKeys,
+  ]);
+
+  async function textReply(
+    capability: "text" | "advance",
+    request: Request,
+    params: Params,
+    ctx: Context,
+  ): Promise<Response> {
+    const prompt = required(params, "prompt");
+    const generate: GenerateRequest = { capability, prompt, options: options(params), signal: request.signal };
+
+    if (params.sessionId) {
+      const session = await sessions.get(params.sessionId, ctx.apiKey?.id);
+      if (!session) {
+        throw new ApiError("not_found", "Session not found");
+      }
+      generate.messages = trimToBudget(
+        [...session.messages, { role: "user", content: prompt }],
+        config.sessions.tokenBudget,
+      );
+    }
+
+    const directives = cacheDirectives(request);
+    const key = cache && !params.sessionId && !directives.noStore
+      ? await cacheKey(capability, prompt, generate.options)
+      : undefined;
+    const exact = key && !directives.noCache ? await cache?.get(key, directives.maxAge) : undefined;
+    const similar = key && !exact && !directives.noCache
+      ? semantic?.find(capability, prompt, generate.options, directives.maxAge, ctx.apiKey?.id)
+      : undefined;
+    const cached = exact ?? similar;
+    const headers: Record<string, string> = {};
+    if (key) {
+      headers["X-Cache"] = exact ? "HIT" : similar ? "SEMANTIC" : "MISS";
+    }
+    if (cached) {
+      headers["Age"] = String(Math.floor((Date.now() - cached.storedAt) / 1000));
+    }
+
+    const remember = async (result: GenerateResult) => {
+      if (params.sessionId) {
+        await sessions.append(params.sessionId, [
+          { role: "user", content: prompt },
+          { role: "assistant", content: result.reply },
+        ]);
+      }
+      if (key && !cached) {
+        await cache?.set(key, result);
+        semantic?.set(capability, prompt, generate.options, result, ctx.apiKey?.id);
+      }
+    };
+    const provider = await charge(ctx, capability, cached ? cachedProvider(capability, cached.result) : providers[capability]);
+
+    if (wantsEventStream(request, params.stream)) {
+      const response = streamEnvelope(provider, generate, remember);
+      Object.entries(headers).forEach(([name, value]) => response.headers.set(name, value));
+      return response;
+    }
+
+    const result = await provider.generate(generate);
+    await remember(result);
+    return json({ code: "200", reply: result.reply, meta: result.meta }, 200, headers);
+  }
+
+  async function geminiHandler(request: Request, _params: RouteParams, ctx: Context): Promise<Response> {
+    return textReply("text", request, await readParams(request), ctx);
+  }
+
+  async function geminiAdvanceHandler(request: Request, _params: RouteParams, ctx: Context): Promise<Response> {
+    return textReply("advance", request, await readParams(request), ctx);
+  }
+
+  async function readImageHandler(request: Request, _params: RouteParams, ctx: Context): Promise<Response> {
+    const params = await readParams(request);
+    const prompt = required(params, "prompt");
+    const imgURL = required(params, "imgURL");
+
+    const provider = await charge(ctx, "image", providers.image);
+    const result = await provider.generate({
+      capability: "image",
+      prompt,
+      imgURL,
+      options: options(params),
+      signal: request.signal,
+    });
+    return json({ code: "200", reply: result.reply, meta: result.meta });
+  }
+
+  async function videoHandler(request: Request, _params: RouteParams, ctx: Context): Promise<Response> {
+    const params = await readParams(request);
+    const prompt = required(params, "prompt");
+    const videoURL = required(params, "videoURL");
+
+    const provider = await charge(ctx, "video", providers.video);
+    const result = await provider.generate({
+      capability: "video",
+      prompt,
+      videoURL,
+      options: options(params),
+      signal: request.signal,
+    });
+    return json({ code: "200", reply: result.reply, meta: result.meta });
+  }
+
+  const generation = ["GET", "POST"];
+  const api: Route[] = [
+    { method: generation, path: "/gemini", handler: geminiHandler, middleware: [admitting("text")] },
+    { method: generation, path: "/geminiAdvance", handler: geminiAdvanceHandler, middleware: [admitting("advance")] },
+    { method: generation, path: "/readImage", handler: readImageHandler, middleware: [admitting("image")] },
+    { method: generation, path: "/video", handler: videoHandler, middleware: [admitting("video")] },
+    { method: "POST", path: "/v1/chat/completions", handler: chatCompletionsHandler },
+    { method: "GET", path: "/v1/models", handler: modelsHandler },
+    ...createSessionRoutes(sessions),
+    ...createQuotaRoutes(quotas),
+  ];
+  const routes: Route[] = [
+    ...prefix("/", api, [authenticate(keys, config.auth)]),
+    ...prefix("/admin", [
+      { method: "GET", path: "/status", handler: () => json({ code: "200", breakers: breakers.snapshot() }) },
+      ...createKeyRoutes(managedKeys),
+      ...createUsageRoutes(usage),
+    ], [requireAdmin(config.admin.keyHash)]),
+    {
+      method: "GET",
+      path: "/metrics",
+      handler: () => new Response(metrics.render(), { headers: { "Content-Type": "text/plain; version=0.0.4" } }),
+    },
+  ];
+  const router = createRouter(routes);
+
+  const middleware: Middleware[] = [requestId()];
+  if (config.trustProxy > 0) {
+    middleware.push(forwardedFor(config.trustProxy));
+  }
+  if (config.logRequests) {
+    middleware.push(requestLogger());
+  }
+  middleware.push(httpMetrics(metrics), usageRecorder(usage), rateLimitHeaders());
+  if (config.corsOrigins.length > 0) {
+    middleware.push(cors(config.corsOrigins));
+  }
+  if (config.basePath) {
+    middleware.push(basePath(config.basePath));
+  }
+
+  return createPipeline([...middleware, ...appOptions.middleware ?? []], (ctx) => {
+    ctx.route = router.label(new URL(ctx.request.url).pathname);
+    return router.handle(ctx);
+  });
+}
@@ -0,0 +1,446 @@
+import { assert, assertEquals, assertStringIncludes } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { createApp } from "./app.ts";
+import { createStaticKeyStore, hashKey } from "./auth.ts";
+import { loadConfig } from "./config.ts";
+
+const upstream = Deno.serve({ port: 0, onListen() {} }, async (req) => {
+  const { pathname, searchParams } = new URL(req.url);
+  const text = searchParams.get("text") ?? "";
+
+  if (text === "fail") {
+    return Response.json({ status: "false", message: "Prompt rejected" });
+  } else if (text === "malformed") {
+    return new Response("<html>Bad Gateway</html>", { headers: { "Content-Type": "text/html" } });
+  } else if (text === "slow") {
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, 500);
+      req.signal.addEventListener("abort", () => {
+        clearTimeout(timer);
+        resolve(undefined);
+      });
+    });
+  }
+
+  if (text === "ansi") {
+    return Response.json({ status: "true", result: "\u001b[31mred\u001b[0m" });
+  }
+
+  const url = searchParams.get("url");
+  return Response.json({ status: "true", result: `${pathname.slice(4)}: ${text}${url ? ` (${url})` : ""}` });
+});
+
+const env = {
+  PROVIDER: "nyxs",
+  NYXS_BASE_URL: `http://localhost:${upstream.addr.port}/ai`,
+  STORE_PATH: ":memory:",
+  TIMEOUT_MS: "100",
+  RETRY_MAX_ATTEMPTS: "1",
+  BREAKER_MIN_REQUESTS: "1000",
+  LOG_REQUESTS: "false",
+  ADMIN_KEY_HASH: await hashKey("gk_admin"),
+};
+const admin = { Authorization: "Bearer gk_admin" };
+const handler = await createApp(loadConfig(new Map(Object.entries(env))));
+const mounted = await createApp(loadConfig(new Map(Object.entries({ ...env, BASE_PATH: "/ai/" }))));
+const throttled = await createApp(
+  loadConfig(new Map(Object.entries({ ...env, RATE_LIMIT_IP_BURST: "3", RATE_LIMIT_IP_PER_MINUTE: "6" }))),
+);
+const cached = await createApp(loadConfig(new Map(Object.entries({ ...env, CACHE_TTL_SECONDS: "60" }))));
+const semantic = await createApp(
+  loadConfig(new Map(Object.entries({ ...env, CACHE_TTL_SECONDS: "60", CACHE_SEMANTIC_THRESHOLD: "0.85" }))),
+);
+const sharedCache = await createApp(
+  loadConfig(
+    new Map(Object.entries({ ...env, AUTH_REQUIRED: "true", CACHE_TTL_SECONDS: "60", CACHE_SEMANTIC_THRESHOLD: "0.75" })),
+  ),
+  {
+    keys: createStaticKeyStore([
+      { id: "alice", hash: await hashKey("gk_alice"), scopes: ["text"] },
+      { id: "bob", hash: await hashKey("gk_bob"), scopes: ["text"] },
+    ]),
+  },
+);
+const secured = await createApp(loadConfig(new Map(Object.entries({ ...env, AUTH_REQUIRED: "true" }))), {
+  keys: createStaticKeyStore([
+    { id: "text-only", hash: await hashKey("gk_text"), scopes: ["text"] },
+    { id: "video-only", hash: await hashKey("gk_video"), scopes: ["video"] },
+    { id: "other-text", hash: await hashKey("gk_other"), scopes: ["text"] },
+  ]),
+});
+
+async function call(path: string, init?: RequestInit) {
+  const response = await handler(new Request(`http://localhost${path}`, init));
+  const type = response.headers.get("Content-Type") ?? "";
+  return { status: response.status, body: type.includes("json") ? await response.json() : await response.text() };
+}
+
+function post(body: unknown): RequestInit {
+  return { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+Deno.test("every generation route relays a successful upstream reply", async () => {
+  const cases: [string, string][] = [
+    ["/gemini?prompt=hello", "gemini: hello"],
+    ["/geminiAdvance?prompt=hello", "gemini-advance: hello"],
+    ["/readImage?prompt=what&imgURL=https://img.example/cat.png", "gemini-img: what (https://img.example/cat.png)"],
+    ["/video?prompt=what&videoURL=https://video.example/cat.mp4", "gemini-video: what (https://video.example/cat.mp4)"],
+  ];
+
+  for (const [path, reply] of cases) {
+    const { status, body } = await call(path);
+    assertEquals(status, 200, path);
+    assertEquals(body.code, "200");
+    assertEquals(body.reply, reply);
+  }
+
+  const { body } = await call("/gemini", post({ prompt: "from a body" }));
+  assertEquals(body.reply, "gemini: from a body");
+});
+
+Deno.test("generation routes reject missing parameters", async () => {
+  const cases: [string, string][] = [
+    ["/gemini", "prompt"],
+    ["/geminiAdvance", "prompt"],
+    ["/readImage?prompt=what", "imgURL"],
+    ["/video?prompt=what", "videoURL"],
+  ];
+
+  for (const [path, field] of cases) {
+    const { status, body } = await call(path);
+    assertEquals(status, 400, path);
+    assertEquals(body.code, "400");
+    assertEquals(body.error.type, "validation");
+    assertEquals(body.error.field, field);
+  }
+});
+
+Deno.test("upstream failures become error envelopes", async () => {
+  const rejected = await call("/gemini?prompt=fail");
+  assertEquals(rejected.status, 502);
+  assertEquals(rejected.body.error.type, "upstream_rejected");
+  assertEquals(rejected.body.error.upstreamMessage, "Prompt rejected");
+
+  const malformed = await call("/geminiAdvance?prompt=malformed");
+  assertEquals(malformed.status, 502);
+  assertEquals(malformed.body.error.type, "upstream_unavailable");
+
+  const timedOut = await call("/gemini?prompt=slow");
+  assertEquals(timedOut.status, 504);
+  assertEquals(timedOut.body.error.type, "upstream_timeout");
+});
+
+Deno.test("sessions carry history between requests", async () => {
+  const created = await call("/sessions", post({}));
+  assertEquals(created.status, 201);
+  const id = created.body.session.id;
+
+  await call(`/gemini?prompt=first&sessionId=${id}`);
+  const { body } = await call(`/gemini?prompt=second&sessionId=${id}`);
+  assertStringIncludes(body.reply, "first");
+
+  assertEquals((await call(`/sessions/${id}`)).body.session.messages.length, 4);
+  assertEquals((await call(`/sessions/${id}`, { method: "DELETE" })).status, 200);
+  assertEquals((await call(`/sessions/${id}`)).status, 404);
+});
+
+Deno.test("a reply with control characters does not break the session it is stored in", async () => {
+  const id = (await call("/sessions", post({}))).body.session.id;
+
+  const first = await call(`/gemini?prompt=ansi&sessionId=${id}`);
+  assertEquals(first.body.reply, "\u001b[31mred\u001b[0m");
+
+  const second = await call(`/gemini?prompt=next&sessionId=${id}`);
+  assertEquals(second.status, 200);
+  assertStringIncludes(second.body.reply, "Assistant: [31mred[0m\nUser: next");
+});
+
+Deno.test("generation routes stream server-sent events when the client asks for them", async () => {
+  const negotiated = await handler(
+    new Request("http://localhost/gemini?prompt=hello", { headers: { Accept: "text/event-stream" } }),
+  );
+  assertEquals(negotiated.headers.get("Content-Type"), "text/event-stream");
+  assertEquals(
+    await negotiated.text(),
+    'event: chunk\ndata: {"text":"gemini: hello"}\n\n' +
+      'event: done\ndata: {"code":"200","reply":"gemini: hello","meta":{"provider":"nyxs","chunks":1,"attempts":1}}\n\n',
+  );
+
+  const failed = await handler(new Request("http://localhost/gemini?prompt=fail&stream=true"));
+  assertEquals(failed.status, 200);
+  assertStringIncludes(await failed.text(), 'event: error\ndata: {"code":"502","reply":"Prompt rejected"');
+});
+
+Deno.test("OpenAI-compatible routes answer in OpenAI's format", async () => {
+  const models = await call("/v1/models");
+  assertEquals(models.body.object, "list");
+
+  const completion = await call(
+    "/v1/chat/completions",
+    post({ model: "gemini", messages: [{ role: "user", content: "hello" }] }),
+  );
+  assertEquals(completion.status, 200);
+  assertEquals(completion.body.choices[0].message.content, "gemini: hello");
+
+  const control = await call("/v1/chat/completions", post({ messages: [{ role: "user", content: "hi\u0000there" }] }));
+  assertEquals(control.status, 400);
+  assertEquals(control.body.error.param, "messages[0].content");
+
+  const unknown = await call("/v1/chat/completions", post({ model: "gpt-4", messages: [{ role: "user", content: "hi" }] }));
+  assertEquals(unknown.status, 400);
+  assertEquals(unknown.body.error.type, "invalid_request_error");
+  assertEquals(unknown.body.error.param, "model");
+});
+
+Deno.test("OpenAI-compatible completions stream as chat.completion.chunk events", async () => {
+  const events = async (content: string) => {
+    const body = { model: "gemini", stream: true, messages: [{ role: "user", content }] };
+    const response = await handler(new Request("http://localhost/v1/chat/completions", post(body)));
+    assertEquals(response.headers.get("Content-Type"), "text/event-stream");
+    return (await response.text()).trim().split("\n\n").map((event) => event.replace(/^data: /, ""));
+  };
+
+  const streamed = await events("hello");
+  assertEquals(streamed.at(-1), "[DONE]");
+  const chunks = streamed.slice(0, -1).map((event) => JSON.parse(event));
+  assertEquals(chunks.map((chunk) => chunk.object), ["chat.completion.chunk", "chat.completion.chunk", "chat.completion.chunk"]);
+  assertEquals(new Set(chunks.map((chunk) => chunk.id)).size, 1);
+  assertEquals(chunks.map((chunk) => chunk.model), ["gemini", "gemini", "gemini"]);
+  assertEquals(chunks.map((chunk) => chunk.choices[0].delta), [{ role: "assistant" }, { content: "gemini: hello" }, {}]);
+  assertEquals(chunks.map((chunk) => chunk.choices[0].finish_reason), [null, null, "stop"]);
+  assertEquals(chunks[2].usage, { prompt_tokens: 2, completion_tokens: 4, total_tokens: 6 });
+
+  const failed = await events("fail");
+  assertEquals(failed.at(-1), "[DONE]");
+  assertEquals(JSON.parse(failed[1]), {
+    error: { message: "Prompt rejected", type: "upstream_rejected", param: null, code: "upstream_rejected" },
+  });
+});
+
+Deno.test("status and metrics routes report on earlier traffic", async () => {
+  const status = await call("/admin/status", { headers: admin });
+  assertEquals(status.body.code, "200");
+  assert(Array.isArray(status.body.breakers));
+
+  const metrics = await call("/metrics");
+  assertStringIncludes(metrics.body, 'http_requests_total{path="/gemini",status="200"}');
+  assertStringIncludes(metrics.body, 'http_requests_total{path="/sessions/:id",status="404"}');
+});
+
+Deno.test("unknown paths fall through to 404", async () => {
+  const { status, body } = await call("/nope");
+  assertEquals(status, 404);
+  assertEquals(body, { code: "404", reply: "Endpoint not found", error: { type: "not_found", message: "Endpoint not found" } });
+});
+
+Deno.test("wrong methods are refused with the methods the endpoint allows", async () => {
+  const response = await handler(new Request("http://localhost/v1/chat/completions"));
+  assertEquals(response.status, 405);
+  assertEquals(response.headers.get("Allow"), "POST");
+  assertEquals((await response.json()).error.type, "method_not_allowed");
+
+  assertEquals((await call("/sessions/abc/fork")).status, 405);
+
+  const head = await handler(new Request("http://localhost/gemini?prompt=hello", { method: "HEAD" }));
+  assertEquals(head.status, 200);
+  assertEquals(head.body, null);
+});
+
+Deno.test("apps mounted under a base path only answer beneath it", async () => {
+  const response = await mounted(new Request("http://localhost/ai/gemini?prompt=hello"));
+  assertEquals((await response.json()).reply, "gemini: hello");
+
+  assertEquals((await mounted(new Request("http://localhost/gemini?prompt=hello"))).status, 404);
+  assertEquals((await mounted(new Request("http://localhost/aigemini?prompt=hello"))).status, 404);
+});
+
+Deno.test("required API keys guard the API but not the operator routes", async () => {
+  const withKey = { headers: { Authorization: "Bearer gk_text" } };
+
+  assertEquals((await secured(new Request("http://localhost/gemini?prompt=hi"))).status, 401);
+  assertEquals((await secured(new Request("http://localhost/gemini?prompt=hi", withKey))).status, 200);
+  assertEquals((await secured(new Request("http://localhost/geminiAdvance?prompt=hi", withKey))).status, 403);
+  assertEquals((await secured(new Request("http://localhost/sessions", withKey))).status, 200);
+  assertEquals((await secured(new Request("http://localhost/metrics"))).status, 200);
+
+  const completion = await secured(
+    new Request("http://localhost/v1/chat/completions", {
+      method: "POST",
+      headers: { ...withKey.headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ model: "gemini-advance", messages: [{ role: "user", content: "hi" }] }),
+    }),
+  );
+  assertEquals(completion.status, 403);
+  assertEquals((await completion.json()).error.type, "permission_error");
+});
+
+Deno.test("generation routes only admit keys scoped to their capability", async () => {
+  const as = (key: string, path: string) => secured(new Request(`http://localhost${path}`, { headers: { "X-API-Key": key } }));
+  const cases: [string, string, number][] = [
+    ["gk_video", "/video?prompt=hi&videoURL=https://video.example/cat.mp4", 200],
+    ["gk_video", "/gemini?prompt=hi", 403],
+    ["gk_video", "/readImage?prompt=hi&imgURL=https://img.example/cat.png", 403],
+    ["gk_text", "/video?prompt=hi&videoURL=https://video.example/cat.mp4", 403],
+  ];
+
+  for (const [key, path, status] of cases) {
+    const response = await as(key, path);
+    assertEquals(response.status, status, `${key} ${path}`);
+    if (status === 403) {
+      assertEquals((await response.json()).error.type, "forbidden");
+    } else {
+      await response.body?.cancel();
+    }
+  }
+});
+
+Deno.test("sessions are only visible to the API key that created them", async () => {
+  const as = (key: string) => async (path: string, init: RequestInit = {}) => {
+    const response = await secured(
+      new Request(`http://localhost${path}`, { ...init, headers: { ...init.headers, Authorization: `Bearer ${key}` } }),
+    );
+    return { status: response.status, body: await response.json() };
+  };
+  const alice = as("gk_text");
+  const bob = as("gk_video");
+
+  const { body } = await alice("/sessions", post({ system: "secret instructions" }));
+  const id = body.session.id;
+  assertEquals((await alice(`/gemini?prompt=hi&sessionId=${id}`)).status, 200);
+
+  assertEquals((await bob("/sessions")).body.sessions, []);
+  assertEquals((await bob(`/sessions/${id}`)).status, 404);
+  assertEquals((await bob(`/sessions/${id}/fork`, { method: "POST" })).status, 404);
+  assertEquals((await bob(`/sessions/${id}`, { method: "DELETE" })).status, 404);
+  assertEquals((await as("gk_other")(`/gemini?prompt=hi&sessionId=${id}`)).status, 404);
+
+  const listed = (await alice("/sessions")).body.sessions;
+  assertEquals(listed.map((session: { id: string }) => session.id), [id]);
+  assertEquals((await alice(`/sessions/${id}`)).body.session.messages.length, 3);
+});
+
+Deno.test("admins issue keys and inspect their usage", async () => {
+  assertEquals((await call("/admin/keys")).status, 401);
+
+  const created = await call("/admin/keys", {
+    method: "POST",
+    headers: { ...admin, "Content-Type": "application/json" },
+    body: JSON.stringify({ name: "mobile", scopes: ["text"], quota: { daily: 1000 } }),
+  });
+  assertEquals(created.status, 201);
+  const { key, apiKey } = created.body;
+  assertEquals(apiKey.hash, undefined);
+
+  assertEquals((await call("/gemini?prompt=hi", { headers: { "X-API-Key": key } })).status, 200);
+  assertEquals((await call("/video?prompt=hi", { headers: { "X-API-Key": key } })).status, 403);
+
+  const usage = await call(`/admin/usage?key=${apiKey.id}`, { headers: admin });
+  const routes = Object.fromEntries(usage.body.usage.routes.map((route: { route: string }) => [route.route, route]));
+  assertEquals(routes["/gemini"].requests, 1);
+  assertEquals(routes["/video"].errors, 1);
+
+  const rotated = await call(`/admin/keys/${apiKey.id}/rotate`, { method: "POST", headers: admin });
+  assertEquals((await call("/gemini?prompt=hi", { headers: { "X-API-Key": key } })).status, 401);
+
+  await call(`/admin/keys/${apiKey.id}`, { method: "DELETE", headers: admin });
+  assertEquals((await call("/gemini?prompt=hi", { headers: { "X-API-Key": rotated.body.key } })).status, 401);
+});
+
+Deno.test("clients over their rate limit get 429 with the bucket's state", async () => {
+  const connection = { remoteAddr: { transport: "tcp" as const, hostname: "203.0.113.7", port: 4000 } };
+
+  const first = await throttled(new Request("http://localhost/gemini?prompt=hi"), connection);
+  assertEquals(first.headers.get("X-RateLimit-Limit"), "3");
+  assertEquals(first.headers.get("X-RateLimit-Remaining"), "2");
+
+  assertEquals((await throttled(new Request("http://localhost/geminiAdvance?prompt=hi"), connection)).status, 200);
+  const limited = await throttled(new Request("http://localhost/gemini?prompt=hi"), connection);
+  assertEquals(limited.status, 429);
+  assertEquals(limited.headers.get("Retry-After"), "10");
+  assertEquals(limited.headers.get("X-RateLimit-Remaining"), "0");
+  assertEquals((await limited.json()).reply, "Rate limit exceeded for this client address");
+
+  const elsewhere = { remoteAddr: { ...connection.remoteAddr, hostname: "198.51.100.1" } };
+  assertEquals((await throttled(new Request("http://localhost/gemini?prompt=hi"), elsewhere)).status, 200);
+});
+
+Deno.test("keys spend their quota and can look up what is left", async () => {
+  const created = await call("/admin/keys", {
+    method: "POST",
+    headers: { ...admin, "Content-Type": "application/json" },
+    body: JSON.stringify({ scopes: ["text", "video"], quota: { monthly: 6 } }),
+  });
+  const headers = { "X-API-Key": created.body.key };
+
+  assertEquals((await call("/video?prompt=a&videoURL=https://video.example/a.mp4", { headers })).status, 200);
+  const exhausted = await call("/video?prompt=b&videoURL=https://video.example/b.mp4", { headers });
+  assertEquals(exhausted.status, 429);
+  assertEquals(exhausted.body.error.type, "quota_exceeded");
+  assert(exhausted.body.error.resetsAt);
+
+  assertEquals((await call("/video?prompt=c", { headers })).status, 400);
+  assertEquals((await call("/gemini", { headers })).status, 400);
+  assertEquals((await call("/gemini?prompt=fail", { headers })).status, 502);
+
+  const quota = await call("/quota", { headers });
+  assertEquals(quota.body.quota.daily.used, 1);
+  assertEquals(quota.body.quota.monthly.used, 5);
+  assertEquals(quota.body.quota.monthly.remaining, 1);
+  assertEquals((await call("/gemini?prompt=hi", { headers })).status, 200);
+  assertEquals((await call("/quota")).status, 401);
+});
+
+Deno.test("identical prompts are answered from the cache unless the client opts out", async () => {
+  const get = (path: string, headers: Record<string, string> = {}) =>
+    cached(new Request(`http://localhost${path}`, { headers }));
+
+  const miss = await get("/gemini?prompt=cache%20me");
+  assertEquals(miss.headers.get("X-Cache"), "MISS");
+  assertEquals(miss.headers.get("Age"), null);
+
+  const hit = await get("/gemini?prompt=cache%20me%20");
+  assertEquals(hit.headers.get("X-Cache"), "HIT");
+  assertEquals(hit.headers.get("Age"), "0");
+  assertEquals((await hit.json()).reply, "gemini: cache me");
+
+  assertEquals((await get("/geminiAdvance?prompt=cache%20me")).headers.get("X-Cache"), "MISS");
+  assertEquals((await get("/gemini?prompt=cache%20me", { "Cache-Control": "no-cache" })).headers.get("X-Cache"), "MISS");
+
+  const streamed = await get("/gemini?prompt=cache%20me&stream=true");
+  assertEquals(streamed.headers.get("X-Cache"), "HIT");
+  assertStringIncludes(await streamed.text(), "event: done");
+});
+
+Deno.test("paraphrased prompts are answered from the semantic cache with the match in meta", async () => {
+  const get = (prompt: string) => semantic(new Request(`http://localhost/gemini?prompt=${encodeURIComponent(prompt)}`));
+
+  assertEquals((await get("What is the capital of France?")).headers.get("X-Cache"), "MISS");
+
+  const similar = await get("What is the capital city of France?");
+  const body = await similar.json();
+  assertEquals(similar.headers.get("X-Cache"), "SEMANTIC");
+  assertEquals(body.reply, "gemini: What is the capital of France?");
+  assertEquals(body.meta.cache.prompt, "What is the capital of France?");
+  assertEquals(body.meta.cache.similarity > 0.85, true);
+
+  assertEquals((await get("What is the capital of Germany?")).headers.get("X-Cache"), "MISS");
+});
+
+Deno.test("the semantic cache never answers one API key with another key's prompt", async () => {
+  const get = (key: string, prompt: string) =>
+    sharedCache(
+      new Request(`http://localhost/gemini?prompt=${encodeURIComponent(prompt)}`, {
+        headers: { Authorization: `Bearer ${key}` },
+      }),
+    );
+
+  assertEquals((await get("gk_alice", "What is the diagnosis for patient John Smith, SSN 123-45-6789?")).status, 200);
+
+  const other = await get("gk_bob", "What is the diagnosis for patient John Smith?");
+  const body = await other.json();
+  assertEquals(other.headers.get("X-Cache"), "MISS");
+  assertEquals(body.meta.cache, undefined);
+  assertEquals(body.reply, "gemini: What is the diagnosis for patient John Smith?");
+
+  const same = await get("gk_alice", "What's the diagnosis for patient John Smith (SSN 123-45-6789)?");
+  assertEquals(same.headers.get("X-Cache"), "SEMANTIC");
+});
@@ -0,0 +1,134 @@
+import { ApiError } from "./errors.ts";
+import { sha256Hex } from "./helpers.ts";
+import type { Context } from "./middleware.ts";
+import { CAPABILITIES } from "./providers/mod.ts";
+import type { Capability } from "./providers/mod.ts";
+import type { RouteMiddleware } from "./router.ts";
+
+export interface Quota {
+  daily?: number;
+  monthly?: number;
+}
+
+export interface ApiKey {
+  id: string;
+  name?: string;
+  hash: string;
+  scopes: Capability[];
+  origins?: string[];
+  quota?: Quota;
+}
+
+export interface KeyStore {
+  find(hash: string): Promise<ApiKey | undefined>;
+}
+
+export interface AuthOptions {
+  required: boolean;
+}
+
+export function hashKey(key: string): Promise<string> {
+  return sha256Hex(key);
+}
+
+export function generateKey(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `gk_${btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+}
+
+export function checkScopes(scopes: unknown): Capability[] {
+  if (!Array.isArray(scopes) || scopes.some((scope) => !CAPABILITIES.includes(scope))) {
+    throw new TypeError(`scopes must be a list of ${CAPABILITIES.join(", ")}`);
+  }
+  return scopes;
+}
+
+export function loadKeysFile(path: string): ApiKey[] {
+  const keys = JSON.parse(Deno.readTextFileSync(path));
+  if (!Array.isArray(keys)) {
+    throw new Error(`API keys in ${path} must be a JSON array`);
+  }
+  for (const key of keys) {
+    if (typeof key.id !== "string" || !/^[0-9a-f]{64}$/.test(key.hash)) {
+      throw new Error(`API keys in ${path} need an id and a SHA-256 hex hash`);
+    }
+    checkScopes(key.scopes);
+  }
+  return keys;
+}
+
+export function createStaticKeyStore(keys: ApiKey[]): KeyStore {
+  const byHash = new Map(keys.map((key) => [key.hash, key]));
+  return {
+    find: (hash) => Promise.resolve(byHash.get(hash)),
+  };
+}
+
+export function combineKeyStores(stores: KeyStore[]): KeyStore {
+  return {
+    async find(hash) {
+      for (const store of stores) {
+        const key = await store.find(hash);
+        if (key) {
+          return key;
+        }
+      }
+      return undefined;
+    },
+  };
+}
+
+function presentedKey(req: Request): string | undefined {
+  const header = req.headers.get("X-API-Key");
+  if (header) {
+    return header.trim();
+  }
+  const authorization = req.headers.get("Authorization");
+  const match = authorization?.match(/^Bearer\s+(\S+)$/i);
+  return match?.[1];
+}
+
+export function authenticate(store: KeyStore, options: AuthOptions): RouteMiddleware {
+  return async (req, _params, next, ctx) => {
+    const presented = presentedKey(req);
+    if (presented === undefined) {
+      if (!options.required) {
+        return next();
+      }
+      throw new ApiError("unauthorized", "An API key is required: send it in X-API-Key or as a Bearer token");
+    }
+
+    const key = await store.find(await hashKey(presented));
+    if (!key) {
+      throw new ApiError("unauthorized", "Invalid API key");
+    }
+    if (key.origins?.length) {
+      const origin = req.headers.get("Origin");
+      if (!origin || !key.origins.includes(origin)) {
+        throw new ApiError("forbidden", "This API key may not be used from this origin");
+      }
+    }
+
+    ctx.apiKey = key;
+    return next();
+  };
+}
+
+export function authorize(ctx: Context, scope: Capability): void {
+  if (ctx.apiKey && !ctx.apiKey.scopes.includes(scope)) {
+    throw new ApiError("forbidden", `This API key is not allowed to use the ${scope} route`);
+  }
+}
+
+export function requireAdmin(adminHash: string | undefined): RouteMiddleware {
+  return async (req, _params, next) => {
+    if (!adminHash) {
+      throw new ApiError("forbidden", "The admin API is disabled; set ADMIN_KEY_HASH to enable it");
+    }
+    const presented = presentedKey(req);
+    if (presented === undefined || await hashKey(presented) !== adminHash) {
+      throw new ApiError("unauthorized", "A valid admin key is required");
+    }
+    return next();
+  };
+}
@@ -0,0 +1,58 @@
+import { assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { authenticate, createStaticKeyStore, hashKey } from "./auth.ts";
+import { createPipeline } from "./middleware.ts";
+import { createRouter } from "./router.ts";
+
+const keys = createStaticKeyStore([
+  { id: "server", hash: await hashKey("gk_server"), scopes: ["text", "advance"] },
+  { id: "browser", hash: await hashKey("gk_browser"), scopes: ["text"], origins: ["https://app.example"] },
+]);
+
+function app(required: boolean) {
+  const router = createRouter([
+    {
+      method: "GET",
+      path: "/gemini",
+      handler: (_req, _params, ctx) => new Response(ctx.apiKey?.id ?? "anonymous"),
+      middleware: [authenticate(keys, { required })],
+    },
+  ]);
+  return createPipeline([], (ctx) => router.handle(ctx));
+}
+
+const get = (path: string, headers: Record<string, string> = {}) =>
+  new Request(`http://localhost${path}`, { headers });
+
+Deno.test("keys are accepted from X-API-Key or a bearer token", async () => {
+  const pipeline = app(true);
+  assertEquals(await (await pipeline(get("/gemini", { "X-API-Key": "gk_server" }))).text(), "server");
+  assertEquals(await (await pipeline(get("/gemini", { Authorization: "Bearer gk_server" }))).text(), "server");
+});
+
+Deno.test("missing and unknown keys are unauthorized when auth is required", async () => {
+  const pipeline = app(true);
+
+  const missing = await pipeline(get("/gemini"));
+  assertEquals(missing.status, 401);
+  assertEquals(missing.headers.get("WWW-Authenticate"), 'Bearer realm="gemini-apis-deno"');
+  assertEquals((await missing.json()).code, "401");
+
+  const unknown = await pipeline(get("/gemini", { "X-API-Key": "gk_guess" }));
+  assertEquals(unknown.status, 401);
+  assertEquals((await unknown.json()).reply, "Invalid API key");
+
+  assertEquals(await (await app(false)(get("/gemini"))).text(), "anonymous");
+});
+
+Deno.test("keys are limited to their origins", async () => {
+  const pipeline = app(true);
+
+  const noOrigin = await pipeline(get("/gemini", { "X-API-Key": "gk_browser" }));
+  assertEquals(noOrigin.status, 403);
+
+  const foreign = await pipeline(get("/gemini", { "X-API-Key": "gk_browser", Origin: "https://evil.example" }));
+  assertEquals(foreign.status, 403);
+
+  const allowed = await pipeline(get("/gemini", { "X-API-Key": "gk_browser", Origin: "https://app.example" }));
+  assertEquals(await allowed.text(), "browser");
+});
@@ -0,0 +1,206 @@
+import { ApiError } from "./errors.ts";
+import type { ErrorType } from "./errors.ts";
+import type { Metrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+export type BreakerState = "closed" | "open" | "half_open";
+
+export interface BreakerOptions {
+  windowMs: number;
+  minRequests: number;
+  failureRate: number;
+  cooldownMs: number;
+}
+
+export interface BreakerSnapshot {
+  provider: string;
+  route: string;
+  state: BreakerState;
+  requests: number;
+  failures: number;
+  openedAt?: string;
+  retryAt?: string;
+}
+
+export interface CircuitBreaker {
+  tryAcquire(): boolean;
+  success(): void;
+  failure(): void;
+  release(): void;
+  snapshot(): Omit<BreakerSnapshot, "provider" | "route">;
+}
+
+const failures: ErrorType[] = ["upstream_unavailable", "upstream_timeout", "rate_limited"];
+
+export function createCircuitBreaker(
+  options: BreakerOptions,
+  onTransition: (state: BreakerState) => void = () => {},
+  now = Date.now,
+): CircuitBreaker {
+  let state: BreakerState = "closed";
+  let outcomes: { at: number; ok: boolean }[] = [];
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function transition(next: BreakerState) {
+    if (state !== next) {
+      state = next;
+      onTransition(next);
+    }
+  }
+
+  function prune() {
+    const cutoff = now() - options.windowMs;
+    outcomes = outcomes.filter((outcome) => outcome.at > cutoff);
+  }
+
+  function open() {
+    openedAt = now();
+    trialInFlight = false;
+    transition("open");
+  }
+
+  return {
+    tryAcquire() {
+      if (state === "open" && now() - openedAt >= options.cooldownMs) {
+        transition("half_open");
+      }
+      if (state === "open" || (state === "half_open" && trialInFlight)) {
+        return false;
+      }
+      if (state === "half_open") {
+        trialInFlight = true;
+      }
+      return true;
+    },
+    success() {
+      if (state === "half_open") {
+        outcomes = [];
+        trialInFlight = false;
+        transition("closed");
+        return;
+      }
+      outcomes.push({ at: now(), ok: true });
+      prune();
+    },
+    failure() {
+      if (state === "half_open") {
+        open();
+        return;
+      }
+      outcomes.push({ at: now(), ok: false });
+      prune();
+      const failed = outcomes.filter((outcome) => !outcome.ok).length;
+      if (outcomes.length >= options.minRequests && failed / outcomes.length >= options.failureRate) {
+        open();
+      }
+    },
+    release() {
+      trialInFlight = false;
+    },
+    snapshot() {
+      prune();
+      const snapshot: Omit<BreakerSnapshot, "provider" | "route"> = {
+        state,
+        requests: outcomes.length,
+        failures: outcomes.filter((outcome) => !outcome.ok).length,
+      };
+      if (state !== "closed") {
+        snapshot.openedAt = new Date(openedAt).toISOString();
+        snapshot.retryAt = new Date(openedAt + options.cooldownMs).toISOString();
+      }
+      return snapshot;
+    },
+  };
+}
+
+export interface BreakerRegistry {
+  get(provider: string, route: string): CircuitBreaker;
+  snapshot(): BreakerSnapshot[];
+}
+
+export function createBreakerRegistry(options: BreakerOptions, metrics: Metrics): BreakerRegistry {
+  const breakers = new Map<string, { provider: string; route: string; breaker: CircuitBreaker }>();
+
+  return {
+    get(provider, route) {
+      const key = `${provider}:${route}`;
+      let entry = breakers.get(key);
+      if (!entry) {
+        const breaker = createCircuitBreaker(options, (state) => {
+          console.warn(`[breaker] ${provider} ${route} is now ${state}`);
+          metrics.increment("circuit_breaker_transitions_total", { provider, route, state });
+        });
+        entry = { provider, route, breaker };
+        breakers.set(key, entry);
+      }
+      return entry.breaker;
+    },
+    snapshot() {
+      return [...breakers.values()].map(({ provider, route, breaker }) => ({ provider, route, ...breaker.snapshot() }));
+    },
+  };
+}
+
+export function withCircuitBreaker(provider: Provider, breakers: BreakerRegistry): Provider {
+  function acquire(request: GenerateRequest): CircuitBreaker {
+    const breaker = breakers.get(provider.name, request.capability);
+    if (!breaker.tryAcquire()) {
+      const { retryAt } = breaker.snapshot();
+      throw new ApiError("circuit_open", `Upstream ${provider.name} is unavailable for ${request.capability} requests`, {
+        retryAfter: retryAt ? Math.max(0, (Date.parse(retryAt) - Date.now()) / 1000) : undefined,
+      });
+    }
+    return breaker;
+  }
+
+  function record(breaker: CircuitBreaker, error: unknown) {
+    if (error instanceof ApiError && failures.includes(error.type)) {
+      breaker.failure();
+    } else if (error instanceof ApiError && error.type === "cancelled") {
+      breaker.release();
+    } else {
+      breaker.success();
+    }
+  }
+
+  const wrapped: Provider = {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      const breaker = acquire(request);
+      try {
+        const result = await provider.generate(request);
+        breaker.success();
+        return result;
+      } catch (error) {
+        record(breaker, error);
+        throw error;
+      }
+    },
+  };
+
+  if (provider.stream) {
+    const stream = provider.stream.bind(provider);
+    wrapped.stream = async function* (request: GenerateRequest): AsyncGenerator<string, GenerateResult> {
+      const breaker = acquire(request);
+      let settled = false;
+      try {
+        const result = yield* stream(request);
+        settled = true;
+        breaker.success();
+        return result;
+      } catch (error) {
+        settled = true;
+        record(breaker, error);
+        throw error;
+      } finally {
+        if (!settled) {
+          breaker.release();
+        }
+      }
+    };
+  }
+
+  return wrapped;
+}
@@ -0,0 +1,78 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { createBreakerRegistry, createCircuitBreaker, withCircuitBreaker } from "./breaker.ts";
+import { ApiError } from "./errors.ts";
+import { withFallbacks } from "./failover.ts";
+import { createMetrics } from "./metrics.ts";
+import type { Provider } from "./providers/mod.ts";
+
+const options = { windowMs: 1000, minRequests: 4, failureRate: 0.5, cooldownMs: 500 };
+
+Deno.test("circuit breaker opens once the failure rate crosses the threshold", () => {
+  let time = 0;
+  const breaker = createCircuitBreaker(options, undefined, () => time);
+
+  breaker.success();
+  breaker.failure();
+  breaker.failure();
+  assertEquals(breaker.snapshot().state, "closed");
+
+  breaker.failure();
+  assertEquals(breaker.snapshot().state, "open");
+  assertEquals(breaker.tryAcquire(), false);
+
+  time = 2000;
+  assertEquals(breaker.snapshot().requests, 0);
+});
+
+Deno.test("circuit breaker lets one trial through after the cool-down", () => {
+  let time = 0;
+  const breaker = createCircuitBreaker({ ...options, minRequests: 1 }, undefined, () => time);
+  breaker.failure();
+
+  time = 499;
+  assertEquals(breaker.tryAcquire(), false);
+  time = 500;
+  assertEquals(breaker.tryAcquire(), true);
+  assertEquals(breaker.snapshot().state, "half_open");
+  assertEquals(breaker.tryAcquire(), false);
+
+  breaker.failure();
+  assertEquals(breaker.snapshot().state, "open");
+
+  time = 1000;
+  assertEquals(breaker.tryAcquire(), true);
+  breaker.success();
+  assertEquals(breaker.snapshot().state, "closed");
+  assertEquals(breaker.tryAcquire(), true);
+});
+
+Deno.test("open breakers fail fast and hand over to the fallback provider", async () => {
+  let calls = 0;
+  const down: Provider = {
+    name: "down",
+    capabilities: ["text"],
+    generate() {
+      calls++;
+      return Promise.reject(new ApiError("upstream_unavailable", "down"));
+    },
+  };
+  const backup: Provider = { name: "backup", capabilities: ["text"], generate: () => Promise.resolve({ reply: "ok" }) };
+  const breakers = createBreakerRegistry({ ...options, minRequests: 2 }, createMetrics());
+  const guarded = withCircuitBreaker(down, breakers);
+
+  await assertRejects(() => guarded.generate({ capability: "text", prompt: "hi" }), ApiError);
+  await assertRejects(() => guarded.generate({ capability: "text", prompt: "hi" }), ApiError);
+  const error = await assertRejects(() => guarded.generate({ capability: "text", prompt: "hi" }), ApiError);
+
+  assertEquals((error as ApiError).type, "circuit_open");
+  assertEquals(calls, 2);
+  assertEquals(breakers.snapshot()[0].provider, "down");
+  assertEquals(breakers.snapshot()[0].state, "open");
+
+  const chain = withFallbacks([guarded, backup], createMetrics());
+  assertEquals(await chain.generate({ capability: "text", prompt: "hi" }), {
+    reply: "ok",
+    meta: { provider: "backup", failedOver: ["down"] },
+  });
+  assertEquals(calls, 2);
+});
@@ -0,0 +1,138 @@
+import { sha256Hex } from "./helpers.ts";
+import type { Capability, GenerateResult, GenerationOptions, Provider } from "./providers/mod.ts";
+
+export interface CacheEntry {
+  result: GenerateResult;
+  storedAt: number;
+  expiresAt: number;
+}
+
+export interface CacheBackend {
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+}
+
+export interface CacheDirectives {
+  noCache: boolean;
+  noStore: boolean;
+  maxAge?: number;
+}
+
+export interface ResponseCache {
+  get(key: string, maxAgeSeconds?: number): Promise<CacheEntry | undefined>;
+  set(key: string, result: GenerateResult): Promise<void>;
+}
+
+export function createMemoryCache(maxEntries: number, now: () => number = Date.now): CacheBackend {
+  const entries = new Map<string, CacheEntry>();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return Promise.resolve(undefined);
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= now()) {
+        return Promise.resolve(undefined);
+      }
+      entries.set(key, entry);
+      return Promise.resolve(entry);
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value!);
+      }
+      return Promise.resolve();
+    },
+  };
+}
+
+export function createKvCache(kv: Deno.Kv, now: () => number = Date.now): CacheBackend {
+  const entryKey = (key: string) => ["response_cache", key];
+
+  return {
+    async get(key) {
+      const entry = (await kv.get<CacheEntry>(entryKey(key))).value;
+      return entry && entry.expiresAt > now() ? entry : undefined;
+    },
+    async set(key, entry) {
+      await kv.set(entryKey(key), entry, { expireIn: Math.max(1, entry.expiresAt - now()) });
+    },
+  };
+}
+
+export function createTieredCache(memory: CacheBackend, persistent: CacheBackend): CacheBackend {
+  return {
+    async get(key) {
+      const hit = await memory.get(key);
+      if (hit) {
+        return hit;
+      }
+      const stored = await persistent.get(key);
+      if (stored) {
+        await memory.set(key, stored);
+      }
+      return stored;
+    },
+    async set(key, entry) {
+      await Promise.all([memory.set(key, entry), persistent.set(key, entry)]);
+    },
+  };
+}
+
+export function createResponseCache(
+  backend: CacheBackend,
+  ttlSeconds: number,
+  now: () => number = Date.now,
+): ResponseCache {
+  return {
+    async get(key, maxAgeSeconds) {
+      const entry = await backend.get(key);
+      if (entry && maxAgeSeconds !== undefined && now() - entry.storedAt > maxAgeSeconds * 1000) {
+        return undefined;
+      }
+      return entry;
+    },
+    set(key, result) {
+      const storedAt = now();
+      return backend.set(key, { result, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+    },
+  };
+}
+
+export function cacheKey(capability: Capability, prompt: string, options: GenerationOptions = {}): Promise<string> {
+  const normalized = [
+    capability,
+    prompt.normalize("NFC").trim(),
+    options.temperature ?? null,
+    options.maxTokens ?? null,
+  ];
+  return sha256Hex(JSON.stringify(normalized));
+}
+
+export function cacheDirectives(request: Request): CacheDirectives {
+  const directives: CacheDirectives = { noCache: false, noStore: false };
+  const header = request.headers.get("Cache-Control") ?? request.headers.get("Pragma") ?? "";
+  for (const directive of header.toLowerCase().split(",").map((part) => part.trim())) {
+    const [name, value] = directive.split("=");
+    if (name === "no-cache") {
+      directives.noCache = true;
+    } else if (name === "no-store") {
+      directives.noStore = true;
+    } else if (name === "max-age" && /^\d+$/.test(value ?? "")) {
+      directives.maxAge = Number(value);
+    }
+  }
+  return directives;
+}
+
+export function cachedProvider(capability: Capability, result: GenerateResult): Provider {
+  return {
+    name: result.meta?.provider ?? "cache",
+    capabilities: [capability],
+    generate: () => Promise.resolve(result),
+  };
+}
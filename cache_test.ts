@@ -0,0 +1,66 @@
+import { assertEquals, assertNotEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import {
+  cacheDirectives,
+  cacheKey,
+  createKvCache,
+  createMemoryCache,
+  createResponseCache,
+  createTieredCache,
+} from "./cache.ts";
+
+const entry = (reply: string, expiresAt = 1000) => ({ result: { reply }, storedAt: 0, expiresAt });
+
+Deno.test("memory cache evicts the least recently used entry and expired ones", async () => {
+  let now = 0;
+  const cache = createMemoryCache(2, () => now);
+  await cache.set("a", entry("A"));
+  await cache.set("b", entry("B"));
+  await cache.get("a");
+  await cache.set("c", entry("C"));
+
+  assertEquals((await cache.get("a"))?.result.reply, "A");
+  assertEquals(await cache.get("b"), undefined);
+
+  now = 1000;
+  assertEquals(await cache.get("c"), undefined);
+});
+
+Deno.test("tiered cache fills memory from the persistent backend", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const memory = createMemoryCache(10, () => 0);
+    await createKvCache(kv, () => 0).set("a", entry("A"));
+
+    const cache = createTieredCache(memory, createKvCache(kv, () => 0));
+    assertEquals((await cache.get("a"))?.result.reply, "A");
+    assertEquals((await memory.get("a"))?.result.reply, "A");
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("response cache honours the client's max-age", async () => {
+  let now = 0;
+  const cache = createResponseCache(createMemoryCache(10, () => now), 60, () => now);
+  await cache.set("a", { reply: "A" });
+
+  now = 30000;
+  assertEquals((await cache.get("a"))?.storedAt, 0);
+  assertEquals(await cache.get("a", 10), undefined);
+
+  now = 60000;
+  assertEquals(await cache.get("a"), undefined);
+});
+
+Deno.test("cache keys ignore surrounding whitespace but not options", async () => {
+  assertEquals(await cacheKey("text", " hello "), await cacheKey("text", "hello"));
+  assertNotEquals(await cacheKey("text", "hello"), await cacheKey("advance", "hello"));
+  assertNotEquals(await cacheKey("text", "hello"), await cacheKey("text", "hello", { temperature: 0.2 }));
+});
+
+Deno.test("cache directives are read from Cache-Control", () => {
+  const directives = (value: string) => cacheDirectives(new Request("http://localhost/", { headers: { "Cache-Control": value } }));
+  assertEquals(directives("no-cache"), { noCache: true, noStore: false });
+  assertEquals(directives("No-Store, max-age=30"), { noCache: false, noStore: true, maxAge: 30 });
+  assertEquals(cacheDirectives(new Request("http://localhost/")), { noCache: false, noStore: false });
+});
@@ -0,0 +1,106 @@
+import { ApiError } from "./errors.ts";
+import type { Metrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+interface Flight {
+  result: Promise<GenerateResult>;
+  controller: AbortController;
+  waiters: number;
+}
+
+export function flightKey(request: GenerateRequest): string {
+  const { capability, prompt, imgURL, videoURL, messages, options } = request;
+  return JSON.stringify([
+    capability,
+    prompt,
+    imgURL ?? null,
+    videoURL ?? null,
+    messages ?? null,
+    options?.temperature ?? null,
+    options?.maxTokens ?? null,
+  ]);
+}
+
+export function withCoalescing(provider: Provider, metrics: Metrics): Provider {
+  const flights = new Map<string, Flight>();
+
+  function start(key: string, request: GenerateRequest): Flight {
+    const controller = new AbortController();
+    const flight: Flight = {
+      result: provider.generate({ ...request, signal: controller.signal }),
+      controller,
+      waiters: 0,
+    };
+    const land = () => {
+      if (flights.get(key) === flight) {
+        flights.delete(key);
+      }
+    };
+    flight.result.then(land, land);
+    flights.set(key, flight);
+    return flight;
+  }
+
+  function join(key: string, flight: Flight, signal?: AbortSignal): Promise<GenerateResult> {
+    return new Promise((resolve, reject) => {
+      let waiting = true;
+      const leave = () => {
+        waiting = false;
+        flight.waiters--;
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        if (flight.waiters === 0) {
+          if (flights.get(key) === flight) {
+            flights.delete(key);
+          }
+          flight.controller.abort(signal!.reason);
+        }
+        reject(new ApiError("cancelled", "Client closed the request"));
+      };
+
+      flight.waiters++;
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener("abort", onAbort, { once: true });
+      flight.result.then(
+        (result) => {
+          if (waiting) {
+            leave();
+            resolve(result);
+          }
+        },
+        (error) => {
+          if (waiting) {
+            leave();
+            reject(error);
+          }
+        },
+      );
+    });
+  }
+
+  const wrapped: Provider = {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    generate(request: GenerateRequest) {
+      const key = flightKey(request);
+      let flight = flights.get(key);
+      if (flight) {
+        metrics.increment("upstream_coalesced_total", { route: request.capability });
+      } else {
+        flight = start(key, request);
+      }
+      return join(key, flight, request.signal);
+    },
+  };
+
+  if (provider.stream) {
+    wrapped.stream = provider.stream.bind(provider);
+  }
+
+  return wrapped;
+}
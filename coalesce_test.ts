@@ -0,0 +1,102 @@
+import { assertEquals, assertNotEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { flightKey, withCoalescing } from "./coalesce.ts";
+import { ApiError } from "./errors.ts";
+import { createMetrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+function gated() {
+  const calls: GenerateRequest[] = [];
+  const pending: ((result: GenerateResult) => void)[] = [];
+  const provider: Provider = {
+    name: "gated",
+    capabilities: ["text"],
+    generate(request) {
+      calls.push(request);
+      return new Promise((resolve, reject) => {
+        pending.push(resolve);
+        request.signal?.addEventListener("abort", () => reject(request.signal!.reason), { once: true });
+      });
+    },
+  };
+  return { provider, calls, release: (result: GenerateResult) => pending.splice(0).forEach((resolve) => resolve(result)) };
+}
+
+Deno.test("withCoalescing shares one upstream call between identical requests", async () => {
+  const metrics = createMetrics();
+  const upstream = gated();
+  const provider = withCoalescing(upstream.provider, metrics);
+
+  const first = provider.generate({ capability: "text", prompt: "hi" });
+  const second = provider.generate({ capability: "text", prompt: "hi" });
+  const other = provider.generate({ capability: "text", prompt: "hi", options: { temperature: 0.5 } });
+  upstream.release({ reply: "hello" });
+
+  assertEquals((await first).reply, "hello");
+  assertEquals((await second).reply, "hello");
+  assertEquals((await other).reply, "hello");
+  assertEquals(upstream.calls.length, 2);
+  assertEquals(metrics.get("upstream_coalesced_total", { route: "text" }), 1);
+});
+
+Deno.test("withCoalescing keeps the shared call alive while another client waits", async () => {
+  const upstream = gated();
+  const provider = withCoalescing(upstream.provider, createMetrics());
+  const leaving = new AbortController();
+
+  const cancelled = provider.generate({ capability: "text", prompt: "hi", signal: leaving.signal });
+  const staying = provider.generate({ capability: "text", prompt: "hi" });
+  leaving.abort();
+
+  const error = await assertRejects(() => cancelled, ApiError);
+  assertEquals((error as ApiError).type, "cancelled");
+  assertEquals(upstream.calls[0].signal!.aborted, false);
+
+  upstream.release({ reply: "hello" });
+  assertEquals((await staying).reply, "hello");
+});
+
+Deno.test("withCoalescing aborts the upstream call once every client has left", async () => {
+  const upstream = gated();
+  const provider = withCoalescing(upstream.provider, createMetrics());
+  const clients = [new AbortController(), new AbortController()];
+
+  const pending = clients.map((client) => provider.generate({ capability: "text", prompt: "hi", signal: client.signal }));
+  clients.forEach((client) => client.abort());
+  for (const request of pending) {
+    await assertRejects(() => request, ApiError);
+  }
+  assertEquals(upstream.calls[0].signal!.aborted, true);
+
+  const retried = provider.generate({ capability: "text", prompt: "hi" });
+  upstream.release({ reply: "again" });
+  assertEquals((await retried).reply, "again");
+  assertEquals(upstream.calls.length, 2);
+});
+
+Deno.test("withCoalescing passes upstream errors to every waiter and starts afresh afterwards", async () => {
+  let calls = 0;
+  const failing: Provider = {
+    name: "failing",
+    capabilities: ["text"],
+    generate() {
+      calls++;
+      return Promise.reject(new ApiError("upstream_unavailable", "down"));
+    },
+  };
+  const provider = withCoalescing(failing, createMetrics());
+
+  const request = () => provider.generate({ capability: "text", prompt: "hi" });
+  for (const pending of [request(), request()]) {
+    await assertRejects(() => pending, ApiError, "down");
+  }
+  await assertRejects(request, ApiError);
+
+  assertEquals(calls, 2);
+});
+
+Deno.test("flight keys tell apart session histories and attachments", () => {
+  const base = { capability: "text" as const, prompt: "hi" };
+  assertEquals(flightKey(base), flightKey({ ...base, signal: new AbortController().signal }));
+  assertNotEquals(flightKey(base), flightKey({ ...base, messages: [{ role: "user", content: "hi" }] }));
+  assertNotEquals(flightKey(base), flightKey({ ...base, imgURL: "https://example.com/a.png" }));
+});
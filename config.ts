@@ -0,0 +1,235 @@
+import type { BreakerOptions } from "./breaker.ts";
+import type { RecordingMode } from "./providers/recording.ts";
+import type { BucketLimit, RateLimitConfig } from "./ratelimit.ts";
+import type { Capability } from "./providers/types.ts";
+import type { RetryPolicy } from "./retry.ts";
+
+export interface Config {
+  port: number;
+  basePath: string;
+  logRequests: boolean;
+  corsOrigins: string[];
+  trustProxy: number;
+  auth: {
+    required: boolean;
+    keysFile?: string;
+  };
+  admin: {
+    keyHash?: string;
+  };
+  rateLimit: RateLimitConfig;
+  cache: {
+    ttlSeconds: number;
+    maxEntries: number;
+    store: "memory" | "kv";
+    semanticThreshold?: number;
+  };
+  coalesce: boolean;
+  routes: Record<Capability, string[]>;
+  timeouts: Record<Capability, number>;
+  retry: Record<string, RetryPolicy>;
+  breaker: BreakerOptions;
+  storePath?: string;
+  sessions: {
+    tokenBudget: number;
+  };
+  nyxs: {
+    baseURL: string;
+  };
+  google: {
+    apiKey?: string;
+    baseURL: string;
+    models: Record<Capability, string>;
+    maxMediaBytes: number;
+    allowPrivateMedia: boolean;
+  };
+  ollama: {
+    baseURL: string;
+    api: "ollama" | "llamacpp";
+    models: { text: string; advance: string };
+  };
+  mock: {
+    fixturesPath?: string;
+  };
+  recording: {
+    mode: RecordingMode;
+    dir: string;
+  };
+}
+
+type Env = { get(key: string): string | undefined };
+
+function retryPolicy(env: Env, prefix: string, fallback?: RetryPolicy): RetryPolicy {
+  const read = (name: string, value: number | undefined, defaultValue: number) =>
+    Number(env.get(`${prefix}RETRY_${name}`) ?? value ?? defaultValue);
+
+  return {
+    maxAttempts: read("MAX_ATTEMPTS", fallback?.maxAttempts, 3),
+    baseDelayMs: read("BASE_DELAY_MS", fallback?.baseDelayMs, 250),
+    maxDelayMs: read("MAX_DELAY_MS", fallback?.maxDelayMs, 5000),
+  };
+}
+
+function providerList(value: string): string[] {
+  return value.split(",").map((name) => name.trim()).filter(Boolean);
+}
+
+function recordingMode(value: string | undefined): RecordingMode {
+  if (value === undefined || value === "off" || value === "record" || value === "replay") {
+    return value ?? "off";
+  }
+  throw new Error(`RECORDING_MODE must be off, record or replay, not "${value}"`);
+}
+
+function basePath(value: string | undefined): string {
+  const trimmed = (value ?? "").replace(/\/+$/, "");
+  return trimmed && !trimmed.startsWith("/") ? `/${trimmed}` : trimmed;
+}
+
+function bucketLimit(env: Env, prefix: string): BucketLimit | undefined {
+  const burst = env.get(`${prefix}_BURST`);
+  if (burst === undefined) {
+    return undefined;
+  }
+  const limit = { burst: Number(burst), perMinute: Number(env.get(`${prefix}_PER_MINUTE`) ?? burst) };
+  if (!(limit.burst > 0 && limit.perMinute > 0)) {
+    throw new Error(`${prefix}_BURST and ${prefix}_PER_MINUTE must be positive numbers`);
+  }
+  return limit;
+}
+
+function adminKeyHash(value: string | undefined): string | undefined {
+  if (value !== undefined && !/^[0-9a-f]{64}$/.test(value)) {
+    throw new Error("ADMIN_KEY_HASH must be the SHA-256 hex digest of the admin key");
+  }
+  return value;
+}
+
+function semanticThreshold(value: string | undefined): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const threshold = Number(value);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error("CACHE_SEMANTIC_THRESHOLD must be a similarity above 0 and at most 1");
+  }
+  return threshold;
+}
+
+function trustedProxies(value: string | undefined): number {
+  if (value === undefined || value === "false") {
+    return 0;
+  }
+  if (value === "true") {
+    return 1;
+  }
+  const hops = Number(value);
+  if (!Number.isInteger(hops) || hops < 0) {
+    throw new Error("TRUST_PROXY must be true, false or the number of trusted proxies in front of the server");
+  }
+  return hops;
+}
+
+export function loadConfig(env: Env = Deno.env): Config {
+  const fallback = env.get("PROVIDER") ?? "nyxs";
+  const timeout = Number(env.get("TIMEOUT_MS") ?? 60000);
+  const retry = retryPolicy(env, "");
+
+  return {
+    port: Number(env.get("PORT") ?? 8080),
+    basePath: basePath(env.get("BASE_PATH")),
+    logRequests: env.get("LOG_REQUESTS") !== "false",
+    corsOrigins: providerList(env.get("CORS_ORIGINS") ?? ""),
+    trustProxy: trustedProxies(env.get("TRUST_PROXY")),
+    auth: {
+      required: (env.get("AUTH_REQUIRED") ?? String(env.get("AUTH_KEYS_FILE") !== undefined)) === "true",
+      keysFile: env.get("AUTH_KEYS_FILE"),
+    },
+    admin: {
+      keyHash: adminKeyHash(env.get("ADMIN_KEY_HASH")),
+    },
+    cache: {
+      ttlSeconds: Number(env.get("CACHE_TTL_SECONDS") ?? 0),
+      maxEntries: Number(env.get("CACHE_MAX_ENTRIES") ?? 1000),
+      store: env.get("CACHE_STORE") === "kv" ? "kv" : "memory",
+      semanticThreshold: semanticThreshold(env.get("CACHE_SEMANTIC_THRESHOLD")),
+    },
+    coalesce: env.get("COALESCE_REQUESTS") !== "false",
+    rateLimit: {
+      store: env.get("RATE_LIMIT_STORE") === "kv" ? "kv" : "memory",
+      key: bucketLimit(env, "RATE_LIMIT_KEY"),
+      ip: bucketLimit(env, "RATE_LIMIT_IP"),
+      routes: {
+        text: bucketLimit(env, "RATE_LIMIT_TEXT"),
+        advance: bucketLimit(env, "RATE_LIMIT_ADVANCE"),
+        image: bucketLimit(env, "RATE_LIMIT_IMAGE"),
+        video: bucketLimit(env, "RATE_LIMIT_VIDEO"),
+      },
+      costs: {
+        text: Number(env.get("RATE_LIMIT_COST_TEXT") ?? 1),
+        advance: Number(env.get("RATE_LIMIT_COST_ADVANCE") ?? 2),
+        image: Number(env.get("RATE_LIMIT_COST_IMAGE") ?? 3),
+        video: Number(env.get("RATE_LIMIT_COST_VIDEO") ?? 5),
+      },
+    },
+    routes: {
+      text: providerList(env.get("PROVIDER_TEXT") ?? fallback),
+      advance: providerList(env.get("PROVIDER_ADVANCE") ?? fallback),
+      image: providerList(env.get("PROVIDER_IMAGE") ?? fallback),
+      video: providerList(env.get("PROVIDER_VIDEO") ?? fallback),
+    },
+    timeouts: {
+      text: Number(env.get("TIMEOUT_TEXT_MS") ?? timeout),
+      advance: Number(env.get("TIMEOUT_ADVANCE_MS") ?? timeout),
+      image: Number(env.get("TIMEOUT_IMAGE_MS") ?? timeout),
+      video: Number(env.get("TIMEOUT_VIDEO_MS") ?? timeout),
+    },
+    retry: {
+      default: retry,
+      nyxs: retryPolicy(env, "NYXS_", retry),
+      google: retryPolicy(env, "GOOGLE_", retry),
+      ollama: retryPolicy(env, "OLLAMA_", retry),
+      mock: retryPolicy(env, "MOCK_", { ...retry, maxAttempts: 1 }),
+    },
+    breaker: {
+      windowMs: Number(env.get("BREAKER_WINDOW_MS") ?? 60000),
+      minRequests: Number(env.get("BREAKER_MIN_REQUESTS") ?? 5),
+      failureRate: Number(env.get("BREAKER_FAILURE_RATE") ?? 0.5),
+      cooldownMs: Number(env.get("BREAKER_COOLDOWN_MS") ?? 30000),
+    },
+    storePath: env.get("STORE_PATH"),
+    sessions: {
+      tokenBudget: Number(env.get("SESSION_TOKEN_BUDGET") ?? 4000),
+    },
+    nyxs: {
+      baseURL: env.get("NYXS_BASE_URL") ?? "https://api.nyxs.pw/ai",
+    },
+    google: {
+      apiKey: env.get("GOOGLE_API_KEY"),
+      baseURL: env.get("GOOGLE_BASE_URL") ?? "https://generativelanguage.googleapis.com/v1beta",
+      models: {
+        text: env.get("GOOGLE_MODEL_TEXT") ?? "gemini-1.5-flash",
+        advance: env.get("GOOGLE_MODEL_ADVANCE") ?? "gemini-1.5-pro",
+        image: env.get("GOOGLE_MODEL_IMAGE") ?? "gemini-1.5-flash",
+        video: env.get("GOOGLE_MODEL_VIDEO") ?? "gemini-1.5-pro",
+      },
+      maxMediaBytes: Number(env.get("GOOGLE_MAX_MEDIA_BYTES") ?? 20 * 1024 * 1024),
+      allowPrivateMedia: env.get("GOOGLE_ALLOW_PRIVATE_MEDIA") === "true",
+    },
+    ollama: {
+      baseURL: env.get("OLLAMA_BASE_URL") ?? "http://localhost:11434",
+      api: env.get("OLLAMA_API") === "llamacpp" ? "llamacpp" : "ollama",
+      models: {
+        text: env.get("OLLAMA_MODEL_TEXT") ?? "llama3.1",
+        advance: env.get("OLLAMA_MODEL_ADVANCE") ?? env.get("OLLAMA_MODEL_TEXT") ?? "llama3.1",
+      },
+    },
+    mock: {
+      fixturesPath: env.get("MOCK_FIXTURES"),
+    },
+    recording: {
+      mode: recordingMode(env.get("RECORDING_MODE")),
+      dir: env.get("RECORDING_DIR") ?? "recordings",
+    },
+  };
+}
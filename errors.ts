@@ -0,0 +1,105 @@
+export type ErrorType =
+  | "validation"
+  | "unauthorized"
+  | "forbidden"
+  | "not_found"
+  | "method_not_allowed"
+  | "upstream_unavailable"
+  | "upstream_timeout"
+  | "circuit_open"
+  | "upstream_rejected"
+  | "content_blocked"
+  | "rate_limited"
+  | "quota_exceeded"
+  | "cancelled"
+  | "internal";
+
+const statuses: Record<ErrorType, number> = {
+  validation: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  method_not_allowed: 405,
+  upstream_unavailable: 502,
+  upstream_timeout: 504,
+  circuit_open: 503,
+  upstream_rejected: 502,
+  content_blocked: 422,
+  rate_limited: 429,
+  quota_exceeded: 429,
+  cancelled: 499,
+  internal: 500,
+};
+
+export interface ErrorDetails {
+  field?: string;
+  upstreamMessage?: string;
+  upstreamStatus?: number;
+  retryAfter?: number;
+  attempts?: number;
+  providers?: string[];
+  allow?: string[];
+  resetsAt?: string;
+}
+
+export class ApiError extends Error {
+  readonly status: number;
+
+  constructor(readonly type: ErrorType, message: string, readonly details: ErrorDetails = {}) {
+    super(message);
+    this.status = statuses[type];
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(readonly field: string, message: string) {
+    super("validation", message, { field });
+  }
+}
+
+export function upstreamError(status: number, message: string, retryAfter?: string | null): ApiError {
+  const details: ErrorDetails = { upstreamMessage: message, upstreamStatus: status };
+  if (status === 429) {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) {
+      details.retryAfter = seconds;
+    }
+    return new ApiError("rate_limited", message, details);
+  }
+  if (status >= 500) {
+    return new ApiError("upstream_unavailable", message, details);
+  }
+  return new ApiError("upstream_rejected", message, details);
+}
+
+export function toApiError(error: unknown): ApiError {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  console.error(error);
+  return new ApiError("internal", "Internal server error");
+}
+
+export function errorBody(error: ApiError) {
+  const { retryAfter: _, allow: __, ...details } = error.details;
+  return {
+    code: String(error.status),
+    reply: error.message,
+    error: { type: error.type, message: error.message, ...details },
+  };
+}
+
+export function errorResponse(error: unknown): Response {
+  const apiError = toApiError(error);
+  const headers: Record<string, string> = { "Content-Type": "application/json" };
+  if (apiError.details.retryAfter !== undefined) {
+    headers["Retry-After"] = String(Math.ceil(apiError.details.retryAfter));
+  }
+  if (apiError.type === "unauthorized") {
+    headers["WWW-Authenticate"] = 'Bearer realm="gemini-apis-deno"';
+  }
+  if (apiError.details.allow) {
+    headers["Allow"] = apiError.details.allow.join(", ");
+  }
+  return new Response(JSON.stringify(errorBody(apiError)), { status: apiError.status, headers });
+}
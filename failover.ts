@@ -0,0 +1,85 @@
+import { ApiError } from "./errors.ts";
+import type { ErrorType } from "./errors.ts";
+import type { Metrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+import { streamReply } from "./streaming.ts";
+
+const failoverErrors: ErrorType[] = [
+  "upstream_unavailable",
+  "upstream_timeout",
+  "upstream_rejected",
+  "rate_limited",
+  "circuit_open",
+  "internal",
+];
+
+function shouldFailOver(error: unknown): boolean {
+  return !(error instanceof ApiError) || failoverErrors.includes(error.type);
+}
+
+function answeredBy(provider: Provider, result: GenerateResult, failed: string[]): GenerateResult {
+  const meta = { ...result.meta, provider: provider.name };
+  return { ...result, meta: failed.length > 0 ? { ...meta, failedOver: failed } : meta };
+}
+
+export function withFallbacks(chain: Provider[], metrics: Metrics): Provider {
+  function next(error: unknown, request: GenerateRequest, index: number, failed: string[]): void {
+    const provider = chain[index];
+    const fallback = chain[index + 1];
+    if (!fallback || !shouldFailOver(error) || request.signal?.aborted) {
+      if (error instanceof ApiError && failed.length > 0) {
+        error.details.providers = [...failed, provider.name];
+      }
+      throw error;
+    }
+
+    const reason = error instanceof ApiError ? error.type : "internal";
+    console.warn(`[failover] ${provider.name} failed ${request.capability} request (${reason}); trying ${fallback.name}`);
+    metrics.increment("upstream_failovers_total", { route: request.capability, from: provider.name, to: fallback.name });
+    failed.push(provider.name);
+  }
+
+  return {
+    name: chain.map((provider) => provider.name).join(","),
+    capabilities: chain[0].capabilities,
+    async generate(request: GenerateRequest) {
+      const failed: string[] = [];
+      for (let index = 0;; index++) {
+        try {
+          return answeredBy(chain[index], await chain[index].generate(request), failed);
+        } catch (error) {
+          next(error, request, index, failed);
+        }
+      }
+    },
+    async *stream(request: GenerateRequest): AsyncGenerator<string, GenerateResult> {
+      const failed: string[] = [];
+      for (let index = 0;; index++) {
+        const chunks = streamReply(chain[index], request);
+        let started = false;
+        let finished = false;
+        try {
+          while (true) {
+            const step = await chunks.next();
+            if (step.done) {
+              finished = true;
+              return answeredBy(chain[index], step.value, failed);
+            }
+            started = true;
+            yield step.value;
+          }
+        } catch (error) {
+          finished = true;
+          if (started) {
+            throw error;
+          }
+          next(error, request, index, failed);
+        } finally {
+          if (!finished) {
+            await chunks.return(undefined as never);
+          }
+        }
+      }
+    },
+  };
+}
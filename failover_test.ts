@@ -0,0 +1,68 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import type { ErrorType } from "./errors.ts";
+import { withFallbacks } from "./failover.ts";
+import { createMetrics } from "./metrics.ts";
+import type { Provider } from "./providers/mod.ts";
+
+function failing(name: string, type: ErrorType): Provider & { calls: number } {
+  const provider = {
+    name,
+    capabilities: ["text" as const],
+    calls: 0,
+    generate() {
+      provider.calls++;
+      return Promise.reject(new ApiError(type, `${name} failed`));
+    },
+  };
+  return provider;
+}
+
+const answering = (name: string): Provider => ({
+  name,
+  capabilities: ["text"],
+  generate: () => Promise.resolve({ reply: `from ${name}` }),
+});
+
+Deno.test("failover tries providers in order and reports who answered", async () => {
+  const metrics = createMetrics();
+  const chain = withFallbacks(
+    [failing("nyxs", "upstream_timeout"), failing("google", "circuit_open"), answering("ollama")],
+    metrics,
+  );
+
+  const result = await chain.generate({ capability: "text", prompt: "hi" });
+
+  assertEquals(result, { reply: "from ollama", meta: { provider: "ollama", failedOver: ["nyxs", "google"] } });
+  assertEquals(metrics.get("upstream_failovers_total", { route: "text", from: "nyxs", to: "google" }), 1);
+});
+
+Deno.test("failover stops at errors another provider cannot fix", async () => {
+  for (const type of ["validation", "content_blocked", "cancelled"] as const) {
+    const backup = failing("backup", "internal");
+
+    await assertRejects(() => withFallbacks([failing("primary", type), backup], createMetrics()).generate({ capability: "text", prompt: "hi" }));
+
+    assertEquals(backup.calls, 0, type);
+  }
+});
+
+Deno.test("failover surfaces the last error with the providers that were tried", async () => {
+  const chain = withFallbacks([failing("nyxs", "upstream_unavailable"), failing("google", "rate_limited")], createMetrics());
+
+  const error = await assertRejects(() => chain.generate({ capability: "text", prompt: "hi" }), ApiError);
+
+  assertEquals((error as ApiError).type, "rate_limited");
+  assertEquals((error as ApiError).details.providers, ["nyxs", "google"]);
+});
+
+Deno.test("failover streams from the first provider that answers", async () => {
+  const chain = withFallbacks([failing("nyxs", "upstream_unavailable"), answering("google")], createMetrics());
+  const stream = chain.stream!({ capability: "text", prompt: "hi" });
+
+  assertEquals(await stream.next(), { value: "from google", done: false });
+  assertEquals(await stream.next(), {
+    value: { reply: "from google", meta: { provider: "google", failedOver: ["nyxs"] } },
+    done: true,
+  });
+});
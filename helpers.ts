@@ -0,0 +1,23 @@
+import { ValidationError } from "./errors.ts";
+
+export function json(body: unknown, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+export async function readJSONObject(request: Request): Promise<Record<string, unknown>> {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    throw new ValidationError("body", "Request body must be valid JSON");
+  }
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new ValidationError("body", "Request body must be a JSON object");
+  }
+  return body;
+}
+
+export async function sha256Hex(text: string): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+  return [...digest].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,17 @@
+import { checkScopes, generateKey, hashKey } from "./auth.ts";
+import type { ApiKey } from "./auth.ts";
+
+const [id, scopes = "text,advance,image,video", origins] = Deno.args;
+if (!id) {
+  console.error("Usage: deno task keygen <id> [scopes] [origins]");
+  Deno.exit(1);
+}
+
+const key = generateKey();
+const entry: ApiKey = { id, hash: await hashKey(key), scopes: checkScopes(scopes.split(",")) };
+if (origins) {
+  entry.origins = origins.split(",");
+}
+
+console.log(`API key (shown once): ${key}`);
+console.log(`Add this entry to $AUTH_KEYS_FILE:\n${JSON.stringify(entry)}`);
@@ -0,0 +1,217 @@
+import { checkScopes, generateKey, hashKey } from "./auth.ts";
+import type { ApiKey, KeyStore, Quota } from "./auth.ts";
+import { ApiError, ValidationError } from "./errors.ts";
+import { json, readJSONObject } from "./helpers.ts";
+import type { Capability } from "./providers/mod.ts";
+import type { Route } from "./router.ts";
+
+export interface ManagedKey extends ApiKey {
+  createdAt: string;
+  rotatedAt?: string;
+  revokedAt?: string;
+}
+
+export interface KeyFields {
+  name?: string;
+  scopes: Capability[];
+  origins?: string[];
+  quota?: Quota;
+}
+
+export interface IssuedKey {
+  key: string;
+  apiKey: ManagedKey;
+}
+
+export interface ManagedKeyStore extends KeyStore {
+  create(fields: KeyFields): Promise<IssuedKey>;
+  get(id: string): Promise<ManagedKey | null>;
+  list(): Promise<ManagedKey[]>;
+  revoke(id: string): Promise<ManagedKey | null>;
+  rotate(id: string): Promise<IssuedKey | null>;
+  setQuota(id: string, quota: Quota): Promise<ManagedKey | null>;
+}
+
+export function createKeyStore(kv: Deno.Kv): ManagedKeyStore {
+  const keyKey = (id: string) => ["api_keys", id];
+  const hashKeyKey = (hash: string) => ["api_key_hashes", hash];
+
+  async function update(
+    id: string,
+    change: (key: ManagedKey) => ManagedKey,
+    extra?: (op: Deno.AtomicOperation, before: ManagedKey, after: ManagedKey) => void,
+  ): Promise<ManagedKey | null> {
+    while (true) {
+      const entry = await kv.get<ManagedKey>(keyKey(id));
+      if (!entry.value || entry.value.revokedAt) {
+        return null;
+      }
+      const updated = change(entry.value);
+      const op = kv.atomic().check(entry).set(keyKey(id), updated);
+      extra?.(op, entry.value, updated);
+      if ((await op.commit()).ok) {
+        return updated;
+      }
+    }
+  }
+
+  return {
+    async find(hash: string) {
+      const id = (await kv.get<string>(hashKeyKey(hash))).value;
+      const key = id ? (await kv.get<ManagedKey>(keyKey(id))).value : null;
+      return key && !key.revokedAt ? key : undefined;
+    },
+    async create(fields: KeyFields) {
+      const key = generateKey();
+      const apiKey: ManagedKey = {
+        id: crypto.randomUUID(),
+        ...fields,
+        hash: await hashKey(key),
+        createdAt: new Date().toISOString(),
+      };
+      await kv.atomic().set(keyKey(apiKey.id), apiKey).set(hashKeyKey(apiKey.hash), apiKey.id).commit();
+      return { key, apiKey };
+    },
+    async get(id: string) {
+      return (await kv.get<ManagedKey>(keyKey(id))).value;
+    },
+    async list() {
+      const keys: ManagedKey[] = [];
+      for await (const entry of kv.list<ManagedKey>({ prefix: ["api_keys"] })) {
+        keys.push(entry.value);
+      }
+      return keys.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+    revoke(id: string) {
+      return update(
+        id,
+        (key) => ({ ...key, revokedAt: new Date().toISOString() }),
+        (op, before) => op.delete(hashKeyKey(before.hash)),
+      );
+    },
+    async rotate(id: string) {
+      const key = generateKey();
+      const hash = await hashKey(key);
+      const apiKey = await update(
+        id,
+        (current) => ({ ...current, hash, rotatedAt: new Date().toISOString() }),
+        (op, before) => op.delete(hashKeyKey(before.hash)).set(hashKeyKey(hash), id),
+      );
+      return apiKey && { key, apiKey };
+    },
+    setQuota(id: string, quota: Quota) {
+      return update(id, (key) => ({ ...key, quota }));
+    },
+  };
+}
+
+function publicKey({ hash: _, ...key }: ManagedKey) {
+  return key;
+}
+
+const notFound = () => new ApiError("not_found", "API key not found or revoked");
+
+function checkQuota(value: unknown): Quota {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new ValidationError("quota", "quota must be an object with daily and/or monthly limits");
+  }
+  const quota: Quota = {};
+  for (const period of ["daily", "monthly"] as const) {
+    const limit = (value as Quota)[period];
+    if (limit === undefined || limit === null) {
+      continue;
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new ValidationError(`quota.${period}`, `quota.${period} must be a non-negative integer`);
+    }
+    quota[period] = limit;
+  }
+  return quota;
+}
+
+function checkFields(body: Record<string, unknown>): KeyFields {
+  const fields: KeyFields = { scopes: [] };
+  try {
+    fields.scopes = checkScopes(body.scopes);
+  } catch (error) {
+    throw new ValidationError("scopes", (error as Error).message);
+  }
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string") {
+      throw new ValidationError("name", "name must be a string");
+    }
+    fields.name = body.name;
+  }
+  if (body.origins !== undefined) {
+    if (!Array.isArray(body.origins) || body.origins.some((origin) => typeof origin !== "string")) {
+      throw new ValidationError("origins", "origins must be a list of strings");
+    }
+    fields.origins = body.origins;
+  }
+  if (body.quota !== undefined) {
+    fields.quota = checkQuota(body.quota);
+  }
+  return fields;
+}
+
+export function createKeyRoutes(store: ManagedKeyStore): Route[] {
+  return [
+    {
+      method: "GET",
+      path: "/keys",
+      handler: async () => json({ code: "200", keys: (await store.list()).map(publicKey) }),
+    },
+    {
+      method: "POST",
+      path: "/keys",
+      async handler(req) {
+        const { key, apiKey } = await store.create(checkFields(await readJSONObject(req)));
+        return json({ code: "201", key, apiKey: publicKey(apiKey) }, 201);
+      },
+    },
+    {
+      method: "GET",
+      path: "/keys/:id",
+      async handler(_req, { id }) {
+        const apiKey = await store.get(id);
+        if (!apiKey) {
+          throw notFound();
+        }
+        return json({ code: "200", apiKey: publicKey(apiKey) });
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/keys/:id",
+      async handler(_req, { id }) {
+        const apiKey = await store.revoke(id);
+        if (!apiKey) {
+          throw notFound();
+        }
+        return json({ code: "200", apiKey: publicKey(apiKey) });
+      },
+    },
+    {
+      method: "POST",
+      path: "/keys/:id/rotate",
+      async handler(_req, { id }) {
+        const issued = await store.rotate(id);
+        if (!issued) {
+          throw notFound();
+        }
+        return json({ code: "200", key: issued.key, apiKey: publicKey(issued.apiKey) });
+      },
+    },
+    {
+      method: "PUT",
+      path: "/keys/:id/quota",
+      async handler(req, { id }) {
+        const apiKey = await store.setQuota(id, checkQuota(await readJSONObject(req)));
+        if (!apiKey) {
+          throw notFound();
+        }
+        return json({ code: "200", apiKey: publicKey(apiKey) });
+      },
+    },
+  ];
+}
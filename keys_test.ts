@@ -0,0 +1,27 @@
+import { assert, assertEquals, assertNotEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { hashKey } from "./auth.ts";
+import { createKeyStore } from "./keys.ts";
+
+Deno.test("managed keys are found by hash until rotated or revoked", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createKeyStore(kv);
+    const { key, apiKey } = await store.create({ name: "ci", scopes: ["text"] });
+    assertEquals(apiKey.hash, await hashKey(key));
+    assertEquals((await store.find(apiKey.hash))?.id, apiKey.id);
+
+    const rotated = (await store.rotate(apiKey.id))!;
+    assertNotEquals(rotated.key, key);
+    assertEquals(await store.find(apiKey.hash), undefined);
+    assertEquals((await store.find(await hashKey(rotated.key)))?.id, apiKey.id);
+
+    assertEquals((await store.setQuota(apiKey.id, { daily: 100 }))?.quota, { daily: 100 });
+
+    assert((await store.revoke(apiKey.id))?.revokedAt);
+    assertEquals(await store.find(await hashKey(rotated.key)), undefined);
+    assertEquals(await store.rotate(apiKey.id), null);
+    assertEquals((await store.list()).length, 1);
+  } finally {
+    kv.close();
+  }
+});
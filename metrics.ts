@@ -0,0 +1,61 @@
+type Labels = Record<string, string>;
+
+export interface Metrics {
+  increment(name: string, labels?: Labels, value?: number): void;
+  observe(name: string, labels: Labels, value: number): void;
+  get(name: string, labels?: Labels): number;
+  render(): string;
+}
+
+function labelKey(labels: Labels): string {
+  const escape = (value: string) => value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+  return Object.keys(labels).sort().map((key) => `${key}="${escape(labels[key])}"`).join(",");
+}
+
+export function createMetrics(): Metrics {
+  const counters = new Map<string, Map<string, number>>();
+  const summaries = new Map<string, Map<string, { count: number; sum: number }>>();
+
+  function series<T>(families: Map<string, Map<string, T>>, name: string): Map<string, T> {
+    let family = families.get(name);
+    if (!family) {
+      family = new Map();
+      families.set(name, family);
+    }
+    return family;
+  }
+
+  return {
+    increment(name, labels = {}, value = 1) {
+      const family = series(counters, name);
+      const key = labelKey(labels);
+      family.set(key, (family.get(key) ?? 0) + value);
+    },
+    observe(name, labels, value) {
+      const family = series(summaries, name);
+      const key = labelKey(labels);
+      const summary = family.get(key) ?? { count: 0, sum: 0 };
+      family.set(key, { count: summary.count + 1, sum: summary.sum + value });
+    },
+    get(name, labels = {}) {
+      return counters.get(name)?.get(labelKey(labels)) ?? 0;
+    },
+    render() {
+      const lines: string[] = [];
+      for (const [name, family] of counters) {
+        lines.push(`# TYPE ${name} counter`);
+        for (const [key, value] of family) {
+          lines.push(`${name}${key ? `{${key}}` : ""} ${value}`);
+        }
+      }
+      for (const [name, family] of summaries) {
+        lines.push(`# TYPE ${name} summary`);
+        for (const [key, { count, sum }] of family) {
+          const labels = key ? `{${key}}` : "";
+          lines.push(`${name}_count${labels} ${count}`, `${name}_sum${labels} ${sum}`);
+        }
+      }
+      return lines.join("\n") + "\n";
+    },
+  };
+}
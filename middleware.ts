@@ -0,0 +1,161 @@
+import { ApiError, errorResponse } from "./errors.ts";
+import type { ApiKey } from "./auth.ts";
+import type { Metrics } from "./metrics.ts";
+import type { BucketStatus } from "./ratelimit.ts";
+
+export interface Context {
+  request: Request;
+  readonly startedAt: number;
+  id: string;
+  route: string;
+  clientIp: string;
+  apiKey?: ApiKey;
+  rateLimit?: BucketStatus;
+  state: Record<string, unknown>;
+}
+
+export interface Middleware {
+  name: string;
+  before?(ctx: Context): void | Response | Promise<void | Response>;
+  after?(ctx: Context, response: Response): void | Response | Promise<void | Response>;
+}
+
+export type Endpoint = (ctx: Context) => Response | Promise<Response>;
+
+export interface ConnectionInfo {
+  remoteAddr: Deno.Addr;
+}
+
+export function createContext(request: Request, connection?: ConnectionInfo): Context {
+  const remote = connection?.remoteAddr;
+  const clientIp = remote && "hostname" in remote ? remote.hostname : "unknown";
+  return { request, startedAt: performance.now(), id: "", route: "unmatched", clientIp, state: {} };
+}
+
+export function createPipeline(middleware: Middleware[], endpoint: Endpoint) {
+  return async function pipeline(request: Request, connection?: ConnectionInfo): Promise<Response> {
+    const ctx = createContext(request, connection);
+    const entered: Middleware[] = [];
+    let response: Response | undefined;
+
+    try {
+      for (const current of middleware) {
+        entered.push(current);
+        response = (await current.before?.(ctx)) ?? undefined;
+        if (response) {
+          break;
+        }
+      }
+      response ??= await endpoint(ctx);
+    } catch (error) {
+      response = errorResponse(error);
+    }
+
+    for (const current of entered.reverse()) {
+      try {
+        response = (await current.after?.(ctx, response)) ?? response;
+      } catch (error) {
+        response = errorResponse(error);
+      }
+    }
+    return response;
+  };
+}
+
+const REQUEST_ID = /^[\w.-]{1,128}$/;
+
+export function requestId(): Middleware {
+  return {
+    name: "requestId",
+    before(ctx) {
+      const incoming = ctx.request.headers.get("X-Request-Id");
+      ctx.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    },
+    after(ctx, response) {
+      response.headers.set("X-Request-Id", ctx.id);
+    },
+  };
+}
+
+export function requestLogger(log: (line: string) => void = console.log): Middleware {
+  return {
+    name: "requestLogger",
+    after(ctx, response) {
+      const { pathname } = new URL(ctx.request.url);
+      const elapsed = Math.round(performance.now() - ctx.startedAt);
+      log(`[http] ${ctx.request.method} ${pathname} ${response.status} ${elapsed}ms${ctx.id ? ` ${ctx.id}` : ""}`);
+    },
+  };
+}
+
+export function httpMetrics(metrics: Metrics): Middleware {
+  return {
+    name: "httpMetrics",
+    after(ctx, response) {
+      const labels = { path: ctx.route, status: String(response.status) };
+      metrics.increment("http_requests_total", labels);
+      metrics.observe("http_request_duration_ms", labels, performance.now() - ctx.startedAt);
+    },
+  };
+}
+
+export function cors(origins: string[]): Middleware {
+  const allowed = (origin: string | null) => origin !== null && (origins.includes("*") || origins.includes(origin));
+
+  return {
+    name: "cors",
+    before(ctx) {
+      const origin = ctx.request.headers.get("Origin");
+      const method = ctx.request.headers.get("Access-Control-Request-Method");
+      if (ctx.request.method !== "OPTIONS" || !method || !allowed(origin)) {
+        return;
+      }
+      return new Response(null, {
+        status: 204,
+        headers: {
+          "Access-Control-Allow-Methods": method,
+          "Access-Control-Allow-Headers": ctx.request.headers.get("Access-Control-Request-Headers") ?? "",
+          "Access-Control-Max-Age": "600",
+        },
+      });
+    },
+    after(ctx, response) {
+      const origin = ctx.request.headers.get("Origin");
+      if (allowed(origin)) {
+        response.headers.set("Access-Control-Allow-Origin", origins.includes("*") ? "*" : origin!);
+        response.headers.set(
+          "Access-Control-Expose-Headers",
+          "Retry-After, X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Cache, Age",
+        );
+        response.headers.append("Vary", "Origin");
+      }
+    },
+  };
+}
+
+export function forwardedFor(trustedProxies = 1): Middleware {
+  return {
+    name: "forwardedFor",
+    before(ctx) {
+      const hops = (ctx.request.headers.get("X-Forwarded-For") ?? "").split(",").map((hop) => hop.trim());
+      const forwarded = hops[Math.max(0, hops.length - trustedProxies)];
+      if (forwarded) {
+        ctx.clientIp = forwarded;
+      }
+    },
+  };
+}
+
+export function basePath(path: string): Middleware {
+  return {
+    name: "basePath",
+    before(ctx) {
+      const url = new URL(ctx.request.url);
+      if (url.pathname !== path && !url.pathname.startsWith(`${path}/`)) {
+        throw new ApiError("not_found", "Endpoint not found");
+      }
+      url.pathname = url.pathname.slice(path.length) || "/";
+      ctx.request = new Request(url, ctx.request);
+    },
+  };
+}
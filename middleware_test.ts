@@ -0,0 +1,87 @@
+import { assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { cors, createPipeline, forwardedFor, requestId } from "./middleware.ts";
+import type { Middleware } from "./middleware.ts";
+
+function tracing(name: string, order: string[]): Middleware {
+  return {
+    name,
+    before() {
+      order.push(`${name} before`);
+    },
+    after() {
+      order.push(`${name} after`);
+    },
+  };
+}
+
+Deno.test("pipeline runs before hooks in order and after hooks in reverse", async () => {
+  const order: string[] = [];
+  const pipeline = createPipeline([tracing("outer", order), tracing("inner", order)], (ctx) => {
+    order.push("endpoint");
+    ctx.state.seen = true;
+    return new Response("ok");
+  });
+
+  assertEquals(await (await pipeline(new Request("http://localhost/"))).text(), "ok");
+  assertEquals(order, ["outer before", "inner before", "endpoint", "inner after", "outer after"]);
+});
+
+Deno.test("a before hook can answer early and errors still reach the after hooks", async () => {
+  const order: string[] = [];
+  const gate: Middleware = {
+    name: "gate",
+    before(ctx) {
+      if (ctx.request.headers.has("X-Blocked")) {
+        return new Response("blocked", { status: 403 });
+      }
+      throw new ApiError("not_found", "Endpoint not found");
+    },
+  };
+  const pipeline = createPipeline([tracing("outer", order), gate, tracing("never", order)], () => new Response("ok"));
+
+  const blocked = await pipeline(new Request("http://localhost/", { headers: { "X-Blocked": "1" } }));
+  assertEquals(blocked.status, 403);
+
+  const failed = await pipeline(new Request("http://localhost/"));
+  assertEquals(failed.status, 404);
+  assertEquals((await failed.json()).error.type, "not_found");
+  assertEquals(order, ["outer before", "outer after", "outer before", "outer after"]);
+});
+
+Deno.test("requestId keeps a well-formed incoming id and replaces anything else", async () => {
+  const pipeline = createPipeline([requestId()], (ctx) => new Response(ctx.id));
+
+  const kept = await pipeline(new Request("http://localhost/", { headers: { "X-Request-Id": "abc-123" } }));
+  assertEquals(kept.headers.get("X-Request-Id"), "abc-123");
+
+  const replaced = await pipeline(new Request("http://localhost/", { headers: { "X-Request-Id": "bad id\n" } }));
+  assertEquals(replaced.headers.get("X-Request-Id"), await replaced.text());
+});
+
+Deno.test("forwardedFor trusts only the entries appended by the configured proxies", async () => {
+  const clientIp = (hops: number, header: string) =>
+    createPipeline([forwardedFor(hops)], (ctx) => new Response(ctx.clientIp))(
+      new Request("http://localhost/", { headers: { "X-Forwarded-For": header } }),
+    ).then((response) => response.text());
+
+  assertEquals(await clientIp(1, "1.1.1.1, 203.0.113.7"), "203.0.113.7");
+  assertEquals(await clientIp(2, "1.1.1.1, 203.0.113.7, 10.0.0.2"), "203.0.113.7");
+  assertEquals(await clientIp(2, "203.0.113.7"), "203.0.113.7");
+});
+
+Deno.test("cors answers preflights and tags responses for allowed origins only", async () => {
+  const pipeline = createPipeline([cors(["https://app.example"])], () => new Response("ok"));
+  const preflight = await pipeline(
+    new Request("http://localhost/gemini", {
+      method: "OPTIONS",
+      headers: { Origin: "https://app.example", "Access-Control-Request-Method": "POST" },
+    }),
+  );
+  assertEquals(preflight.status, 204);
+  assertEquals(preflight.headers.get("Access-Control-Allow-Origin"), "https://app.example");
+  assertEquals(preflight.headers.get("Access-Control-Allow-Methods"), "POST");
+
+  const foreign = await pipeline(new Request("http://localhost/gemini", { headers: { Origin: "https://evil.example" } }));
+  assertEquals(foreign.headers.get("Access-Control-Allow-Origin"), null);
+});
@@ -0,0 +1,232 @@
+import { ApiError, toApiError, ValidationError } from "./errors.ts";
+import type { ErrorType } from "./errors.ts";
+import { json, readJSONObject } from "./helpers.ts";
+import type { Context } from "./middleware.ts";
+import type { Capability, ChatMessage, GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+import type { RouteParams } from "./router.ts";
+import { eventStreamResponse, streamReply } from "./streaming.ts";
+import { estimateTokens } from "./tokens.ts";
+import { CONTROL_CHARACTERS } from "./upstream.ts";
+
+const models: Record<string, Capability> = {
+  "gemini": "text",
+  "gemini-advance": "advance",
+};
+
+const finishReasons: Record<string, string> = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  BLOCKLIST: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  SPII: "content_filter",
+};
+
+interface ChatCompletionRequest {
+  model: string;
+  messages: ChatMessage[];
+  temperature?: number;
+  maxTokens?: number;
+  stream: boolean;
+}
+
+const openAITypes: Partial<Record<ErrorType, string>> = {
+  validation: "invalid_request_error",
+  unauthorized: "authentication_error",
+  forbidden: "permission_error",
+  quota_exceeded: "insufficient_quota",
+};
+
+function openAIError(error: ApiError) {
+  return {
+    error: {
+      message: error.message,
+      type: openAITypes[error.type] ?? error.type,
+      param: error.details.field ?? null,
+      code: error.type,
+    },
+  };
+}
+
+function errorResponse(error: unknown): Response {
+  const apiError = toApiError(error);
+  const response = json(openAIError(apiError), apiError.status);
+  if (apiError.details.retryAfter !== undefined) {
+    response.headers.set("Retry-After", String(Math.ceil(apiError.details.retryAfter)));
+  }
+  return response;
+}
+
+function messageText(content: unknown, index: number): string {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map((part, i) => {
+      if (part?.type !== "text" || typeof part.text !== "string") {
+        throw new ValidationError(`messages[${index}].content[${i}]`, "Only text content parts are supported");
+      }
+      return part.text;
+    }).join("");
+  }
+  throw new ValidationError(`messages[${index}].content`, "Message content must be a string or an array of text parts");
+}
+
+function messageContent(content: unknown, index: number): string {
+  const text = messageText(content, index);
+  if (CONTROL_CHARACTERS.test(text)) {
+    throw new ValidationError(
+      `messages[${index}].content`,
+      "Message content may not contain control characters other than tabs and line breaks",
+    );
+  }
+  return text;
+}
+
+function parseRequest(body: Record<string, unknown>): ChatCompletionRequest {
+  const { model = "gemini", messages, temperature, max_tokens, stream = false } = body;
+
+  if (typeof model !== "string") {
+    throw new ValidationError("model", "model must be a string");
+  }
+  if (!Object.hasOwn(models, model)) {
+    throw new ValidationError("model", `The model "${model}" does not exist; use one of ${Object.keys(models).join(", ")}`);
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new ValidationError("messages", "messages must be a non-empty array");
+  }
+  if (temperature !== undefined && (typeof temperature !== "number" || temperature < 0 || temperature > 2)) {
+    throw new ValidationError("temperature", "temperature must be a number between 0 and 2");
+  }
+  if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || (max_tokens as number) < 1)) {
+    throw new ValidationError("max_tokens", "max_tokens must be a positive integer");
+  }
+  if (typeof stream !== "boolean") {
+    throw new ValidationError("stream", "stream must be a boolean");
+  }
+
+  return {
+    model,
+    messages: messages.map((message, index) => {
+      const role = message?.role === "developer" ? "system" : message?.role;
+      if (role !== "system" && role !== "user" && role !== "assistant") {
+        throw new ValidationError(`messages[${index}].role`, "role must be one of system, user or assistant");
+      }
+      return { role, content: messageContent(message.content, index) };
+    }),
+    temperature: temperature as number | undefined,
+    maxTokens: max_tokens as number | undefined,
+    stream,
+  };
+}
+
+function completion(request: ChatCompletionRequest, result: GenerateResult) {
+  const promptTokens = result.usage?.promptTokens ??
+    request.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  const completionTokens = result.usage?.completionTokens ?? estimateTokens(result.reply);
+
+  return {
+    id: `chatcmpl-${crypto.randomUUID()}`,
+    created: Math.floor(Date.now() / 1000),
+    model: request.model,
+    finishReason: finishReasons[result.finishReason ?? "STOP"] ?? "stop",
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+function streamResponse(request: ChatCompletionRequest, provider: Provider, generate: GenerateRequest): Response {
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const chunk = (delta: Record<string, string>, finish_reason: string | null, extra = {}) => ({
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model: request.model,
+    choices: [{ index: 0, delta, finish_reason }],
+    ...extra,
+  });
+
+  return eventStreamResponse((async function* () {
+    const reply = streamReply(provider, generate);
+    yield { data: chunk({ role: "assistant" }, null) };
+    while (true) {
+      let next: IteratorResult<string, GenerateResult>;
+      try {
+        next = await reply.next();
+      } catch (error) {
+        yield { data: openAIError(toApiError(error)) };
+        yield { data: "[DONE]" };
+        return;
+      }
+      const { value, done } = next;
+      if (done) {
+        const { finishReason, usage } = completion(request, value);
+        yield { data: chunk({}, finishReason, { usage }) };
+        yield { data: "[DONE]" };
+        return;
+      }
+      yield { data: chunk({ content: value }, null) };
+    }
+  })());
+}
+
+export function modelsHandler(): Response {
+  return json({
+    object: "list",
+    data: Object.keys(models).map((id) => ({ id, object: "model", created: 0, owned_by: "gemini-apis-deno" })),
+  });
+}
+
+export type Admit = (ctx: Context, capability: Capability, provider: Provider) => Provider | Promise<Provider>;
+
+export function createChatCompletionsHandler(
+  providers: Record<Capability, Provider>,
+  admit: Admit = (_ctx, _capability, provider) => provider,
+) {
+  return async function chatCompletionsHandler(req: Request, _params: RouteParams, ctx: Context): Promise<Response> {
+    try {
+      return await chatCompletion(req, ctx);
+    } catch (error) {
+      return errorResponse(error);
+    }
+  };
+
+  async function chatCompletion(req: Request, ctx: Context): Promise<Response> {
+    const request = parseRequest(await readJSONObject(req));
+
+    const lastUser = request.messages.findLast((message) => message.role === "user");
+    if (!lastUser) {
+      throw new ValidationError("messages", "messages must contain at least one user message");
+    }
+
+    const capability = models[request.model];
+    const provider = await admit(ctx, capability, providers[capability]);
+    const generate: GenerateRequest = {
+      capability,
+      prompt: lastUser.content,
+      messages: request.messages,
+      options: { temperature: request.temperature, maxTokens: request.maxTokens },
+      signal: req.signal,
+    };
+    if (request.stream) {
+      return streamResponse(request, provider, generate);
+    }
+
+    const result = await provider.generate(generate);
+
+    const { id, created, model, finishReason, usage } = completion(request, result);
+    return json({
+      id,
+      object: "chat.completion",
+      created,
+      model,
+      choices: [{ index: 0, message: { role: "assistant", content: result.reply }, finish_reason: finishReason }],
+      usage,
+    });
+  }
+}
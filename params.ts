@@ -0,0 +1,107 @@
+import { ValidationError } from "./errors.ts";
+import { readJSONObject } from "./helpers.ts";
+import { CONTROL_CHARACTERS } from "./upstream.ts";
+
+export interface Params {
+  prompt?: string;
+  imgURL?: string;
+  videoURL?: string;
+  sessionId?: string;
+  stream: boolean;
+  temperature?: number;
+  maxTokens?: number;
+}
+
+type StringField = "prompt" | "imgURL" | "videoURL" | "sessionId";
+
+const stringFields: StringField[] = ["prompt", "imgURL", "videoURL", "sessionId"];
+
+function checkString(field: StringField, value: string | undefined): string | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (CONTROL_CHARACTERS.test(value)) {
+    throw new ValidationError(field, `${field} must not contain control characters`);
+  }
+  if (field === "imgURL" || field === "videoURL") {
+    let url: URL | undefined;
+    try {
+      url = /\s/.test(value) ? undefined : new URL(value);
+    } catch {
+      url = undefined;
+    }
+    if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+      throw new ValidationError(field, `${field} must be an absolute http(s) URL`);
+    }
+  }
+  return value;
+}
+
+function checkTemperature(value: unknown): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== "number" || Number.isNaN(value) || value < 0 || value > 2) {
+    throw new ValidationError("temperature", "temperature must be a number between 0 and 2");
+  }
+  return value;
+}
+
+function checkMaxTokens(value: unknown): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!Number.isInteger(value) || (value as number) < 1) {
+    throw new ValidationError("maxTokens", "maxTokens must be a positive integer");
+  }
+  return value as number;
+}
+
+function fromQuery(searchParams: URLSearchParams): Params {
+  const params: Params = { stream: searchParams.get("stream") === "true" };
+  for (const field of stringFields) {
+    params[field] = checkString(field, searchParams.get(field) ?? undefined);
+  }
+
+  const temperature = searchParams.get("temperature");
+  const maxTokens = searchParams.get("maxTokens");
+  params.temperature = checkTemperature(temperature === null ? undefined : Number(temperature));
+  params.maxTokens = checkMaxTokens(maxTokens === null ? undefined : Number(maxTokens));
+  return params;
+}
+
+async function fromBody(request: Request): Promise<Params> {
+  const body = await readJSONObject(request);
+
+  const params: Params = { stream: false };
+  for (const field of stringFields) {
+    const value = body[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      throw new ValidationError(field, `${field} must be a string`);
+    }
+    params[field] = checkString(field, value ?? undefined);
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== "boolean") {
+    throw new ValidationError("stream", "stream must be a boolean");
+  }
+  params.stream = body.stream ?? false;
+  params.temperature = checkTemperature(body.temperature);
+  params.maxTokens = checkMaxTokens(body.maxTokens);
+  return params;
+}
+
+export function readParams(request: Request): Promise<Params> {
+  if (request.method === "POST") {
+    return fromBody(request);
+  }
+  return Promise.resolve(fromQuery(new URL(request.url).searchParams));
+}
+
+export function required(params: Params, field: StringField): string {
+  const value = params[field];
+  if (!value) {
+    throw new ValidationError(field, `${field} is required`);
+  }
+  return value;
+}
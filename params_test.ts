@@ -0,0 +1,38 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ValidationError } from "./errors.ts";
+import { readParams } from "./params.ts";
+
+Deno.test("readParams reads the query string of GET requests", async () => {
+  const params = await readParams(new Request("http://localhost/gemini?prompt=a%26url%3Db&temperature=0.5&stream=true"));
+
+  assertEquals(params.prompt, "a&url=b");
+  assertEquals(params.temperature, 0.5);
+  assertEquals(params.stream, true);
+});
+
+Deno.test("readParams reads JSON bodies of POST requests", async () => {
+  const request = new Request("http://localhost/video", {
+    method: "POST",
+    body: JSON.stringify({ prompt: "hi", videoURL: "https://cdn.example/v.mp4", maxTokens: 10 }),
+  });
+  const params = await readParams(request);
+
+  assertEquals(params.videoURL, "https://cdn.example/v.mp4");
+  assertEquals(params.maxTokens, 10);
+  assertEquals(params.stream, false);
+});
+
+Deno.test("readParams names the offending field", async () => {
+  const cases: [string, string][] = [
+    ["?prompt=a%00b", "prompt"],
+    ["?prompt=a&imgURL=javascript:alert(1)", "imgURL"],
+    ["?prompt=x&imgURL=https://a.example/%01", "imgURL"],
+    ["?prompt=x&videoURL=https://a.example/%1b[0m", "videoURL"],
+    ["?prompt=a&videoURL=https://a.example/%20x y", "videoURL"],
+    ["?prompt=a&temperature=hot", "temperature"],
+  ];
+  for (const [query, field] of cases) {
+    const error = await assertRejects(() => readParams(new Request(`http://localhost/readImage${query}`)), ValidationError);
+    assertEquals((error as ValidationError).field, field);
+  }
+});
@@ -0,0 +1,312 @@
+import { ApiError, upstreamError, ValidationError } from "../errors.ts";
+import { readServerSentEvents } from "../streaming.ts";
+import type { Capability, GenerateRequest, GenerateResult, Provider } from "./types.ts";
+
+export interface GoogleConfig {
+  apiKey?: string;
+  baseURL: string;
+  models: Record<Capability, string>;
+  maxMediaBytes: number;
+  allowPrivateMedia?: boolean;
+}
+
+type Part =
+  | { text: string }
+  | { inline_data: { mime_type: string; data: string } }
+  | { file_data: { mime_type: string; file_uri: string } };
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function isFileURI(url: URL): boolean {
+  return url.hostname === "generativelanguage.googleapis.com" ||
+    url.hostname === "youtube.com" ||
+    url.hostname.endsWith(".youtube.com") ||
+    url.hostname === "youtu.be";
+}
+
+function isPrivateIPv4(address: string): boolean {
+  const [a, b] = address.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b < 128) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168);
+}
+
+export function isPrivateAddress(address: string): boolean {
+  const ip = address.toLowerCase().replace(/^\[|\]$/g, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+    return isPrivateIPv4(ip);
+  }
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateIPv4(mapped[1]);
+  }
+  return ip === "::" || ip === "::1" || ip.startsWith("::ffff:") || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) ||
+    ip.startsWith("ff");
+}
+
+async function resolveHost(hostname: string): Promise<string[]> {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.includes(":")) {
+    return [host];
+  }
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return ["127.0.0.1"];
+  }
+  const lookups = await Promise.allSettled([Deno.resolveDns(host, "A"), Deno.resolveDns(host, "AAAA")]);
+  return lookups.flatMap((lookup) => lookup.status === "fulfilled" ? lookup.value : []);
+}
+
+async function checkMediaHost(field: string, url: URL): Promise<void> {
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new ValidationError(field, `${field} must be an absolute http(s) URL`);
+  }
+  const addresses = await resolveHost(url.hostname);
+  if (addresses.length === 0) {
+    throw new ValidationError(field, `Could not download ${field}: unknown host`);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new ValidationError(field, `${field} must point to a public address`);
+  }
+}
+
+async function readLimited(field: string, response: Response, maxBytes: number): Promise<Uint8Array> {
+  const tooLarge = () => new ValidationError(field, `${field} is larger than the ${maxBytes} byte limit`);
+  if (Number(response.headers.get("content-length") ?? 0) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  const reader = response.body?.getReader();
+  while (reader) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+const MAX_REDIRECTS = 5;
+
+async function download(field: string, url: URL, config: GoogleConfig, signal?: AbortSignal): Promise<Response> {
+  for (let redirects = 0;; redirects++) {
+    if (!config.allowPrivateMedia) {
+      await checkMediaHost(field, url);
+    }
+    let response: Response;
+    try {
+      response = await fetch(url, { signal, redirect: "manual" });
+    } catch {
+      signal?.throwIfAborted();
+      throw new ValidationError(field, `Could not download ${field}`);
+    }
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    await response.body?.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new ValidationError(field, `Could not download ${field}: too many redirects`);
+    }
+    url = new URL(location, url);
+  }
+}
+
+async function mediaPart(
+  field: string,
+  mediaURL: string,
+  fallbackType: string,
+  config: GoogleConfig,
+  signal?: AbortSignal,
+): Promise<Part> {
+  const url = new URL(mediaURL);
+  if (isFileURI(url)) {
+    return { file_data: { mime_type: fallbackType, file_uri: url.href } };
+  }
+
+  const response = await download(field, url, config, signal);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new ValidationError(field, `Could not download ${field}: HTTP ${response.status}`);
+  }
+  const mimeType = response.headers.get("content-type")?.split(";")[0].trim() || fallbackType;
+  const data = toBase64(await readLimited(field, response, config.maxMediaBytes));
+  return { inline_data: { mime_type: mimeType, data } };
+}
+
+async function buildParts(request: GenerateRequest, config: GoogleConfig): Promise<Part[]> {
+  const parts: Part[] = [];
+  if (request.capability === "image" && request.imgURL) {
+    parts.push(await mediaPart("imgURL", request.imgURL, "image/jpeg", config, request.signal));
+  } else if (request.capability === "video" && request.videoURL) {
+    parts.push(await mediaPart("videoURL", request.videoURL, "video/mp4", config, request.signal));
+  }
+  parts.push({ text: request.prompt });
+  return parts;
+}
+
+async function buildBody(request: GenerateRequest, config: GoogleConfig) {
+  const messages = request.messages ?? [];
+  const system = messages.filter((message) => message.role === "system");
+  const turns = messages.filter((message) => message.role !== "system");
+  const history = turns.length > 0 && turns[turns.length - 1].role === "user" ? turns.slice(0, -1) : turns;
+
+  return {
+    contents: [
+      ...history.map((message) => ({
+        role: message.role === "assistant" ? "model" : "user",
+        parts: [{ text: message.content }],
+      })),
+      { role: "user", parts: await buildParts(request, config) },
+    ],
+    ...(system.length > 0 && {
+      systemInstruction: { parts: system.map((message) => ({ text: message.content })) },
+    }),
+    generationConfig: {
+      temperature: request.options?.temperature,
+      maxOutputTokens: request.options?.maxTokens,
+    },
+  };
+}
+
+interface GoogleResponse {
+  candidates?: {
+    content?: { parts?: { text?: string }[] };
+    finishReason?: string;
+  }[];
+  promptFeedback?: { blockReason?: string };
+  usageMetadata?: { promptTokenCount?: number; candidatesTokenCount?: number };
+  error?: { code?: number; message: string; status?: string };
+}
+
+function candidateText(data: GoogleResponse): string {
+  return (data.candidates?.[0]?.content?.parts ?? [])
+    .map((part) => part.text ?? "")
+    .join("");
+}
+
+function formatResponse(response: Response, data: GoogleResponse, text = candidateText(data)): GenerateResult {
+  if (data.error) {
+    throw upstreamError(data.error.code ?? response.status, data.error.message, response.headers.get("Retry-After"));
+  }
+
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    const reason = data.promptFeedback?.blockReason ?? "no candidates returned";
+    throw new ApiError("content_blocked", `Response blocked: ${reason}`, { upstreamMessage: reason });
+  }
+
+  if (!text && candidate.finishReason && candidate.finishReason !== "STOP") {
+    throw new ApiError("content_blocked", `Response blocked: ${candidate.finishReason}`, {
+      upstreamMessage: candidate.finishReason,
+    });
+  }
+  return {
+    reply: text,
+    finishReason: candidate.finishReason,
+    ...(data.usageMetadata && {
+      usage: {
+        promptTokens: data.usageMetadata.promptTokenCount ?? 0,
+        completionTokens: data.usageMetadata.candidatesTokenCount ?? 0,
+      },
+    }),
+  };
+}
+
+async function readJSON(response: Response, signal?: AbortSignal): Promise<GoogleResponse> {
+  try {
+    return await response.json();
+  } catch {
+    signal?.throwIfAborted();
+    throw new ApiError("upstream_unavailable", "Upstream returned malformed JSON", { upstreamStatus: response.status });
+  }
+}
+
+export function createGoogleProvider(config: GoogleConfig): Provider {
+  if (!config.apiKey) {
+    throw new Error("GOOGLE_API_KEY must be set to use the google provider");
+  }
+  const apiKey = config.apiKey;
+
+  async function call(request: GenerateRequest, method: string): Promise<Response> {
+    const model = config.models[request.capability];
+    const body = JSON.stringify(await buildBody(request, config));
+    try {
+      return await fetch(`${config.baseURL}/models/${model}:${method}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": apiKey,
+        },
+        body,
+        signal: request.signal,
+      });
+    } catch (error) {
+      request.signal?.throwIfAborted();
+      throw new ApiError("upstream_unavailable", "Upstream request failed", {
+        upstreamMessage: (error as Error).message,
+      });
+    }
+  }
+
+  return {
+    name: "google",
+    capabilities: ["text", "advance", "image", "video"],
+    async generate(request: GenerateRequest) {
+      const response = await call(request, "generateContent");
+      return formatResponse(response, await readJSON(response, request.signal));
+    },
+    async *stream(request: GenerateRequest) {
+      const response = await call(request, "streamGenerateContent?alt=sse");
+      if (!response.ok || !response.body) {
+        return formatResponse(response, await readJSON(response, request.signal));
+      }
+
+      let reply = "";
+      let last: GoogleResponse = {};
+      for await (const event of readServerSentEvents(response.body)) {
+        let data: GoogleResponse;
+        try {
+          data = JSON.parse(event);
+        } catch {
+          throw new ApiError("upstream_unavailable", "Upstream returned malformed JSON", {
+            upstreamStatus: response.status,
+          });
+        }
+        if (data.error) {
+          return formatResponse(response, data);
+        }
+        const text = candidateText(data);
+        if (text) {
+          reply += text;
+          yield text;
+        }
+        last = data;
+      }
+      return formatResponse(response, last, reply);
+    },
+  };
+}
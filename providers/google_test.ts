@@ -0,0 +1,238 @@
+import { assertEquals, assertRejects, assertThrows } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "../errors.ts";
+import { createGoogleProvider, isFileURI, isPrivateAddress } from "./google.ts";
+import type { GoogleConfig } from "./google.ts";
+
+interface Captured {
+  path: string;
+  apiKey: string | null;
+  body: { contents: { parts: Record<string, unknown>[] }[] };
+}
+
+async function withStub(
+  respond: (captured: Captured) => Response,
+  fn: (baseURL: string, requests: Captured[]) => Promise<void>,
+) {
+  const requests: Captured[] = [];
+  const server = Deno.serve({ port: 0, onListen() {} }, async (req) => {
+    const url = new URL(req.url);
+    if (url.pathname === "/media/cat.png") {
+      return new Response(new Uint8Array([1, 2, 3]), { headers: { "Content-Type": "image/png" } });
+    }
+    const captured = {
+      path: url.pathname,
+      apiKey: req.headers.get("x-goog-api-key"),
+      body: await req.json(),
+    };
+    requests.push(captured);
+    return respond(captured);
+  });
+  try {
+    await fn(`http://localhost:${server.addr.port}`, requests);
+  } finally {
+    await server.shutdown();
+  }
+}
+
+function provider(baseURL: string, media: Partial<GoogleConfig> = { allowPrivateMedia: true }) {
+  return createGoogleProvider({
+    apiKey: "test-key",
+    baseURL,
+    models: { text: "flash", advance: "pro", image: "flash-img", video: "pro-video" },
+    maxMediaBytes: 1024,
+    ...media,
+  });
+}
+
+const ok = () =>
+  Response.json({
+    candidates: [{ content: { parts: [{ text: "Hello" }, { text: " world" }] }, finishReason: "STOP" }],
+  });
+
+Deno.test("google provider maps text prompts onto generateContent", async () => {
+  await withStub(ok, async (baseURL, requests) => {
+    const result = await provider(baseURL).generate({ capability: "advance", prompt: "hi & bye" });
+
+    assertEquals(result, { reply: "Hello world", finishReason: "STOP" });
+    assertEquals(requests[0].path, "/models/pro:generateContent");
+    assertEquals(requests[0].apiKey, "test-key");
+    assertEquals(requests[0].body.contents[0].parts, [{ text: "hi & bye" }]);
+  });
+});
+
+Deno.test("google provider replays chat history with system instructions", async () => {
+  await withStub(ok, async (baseURL, requests) => {
+    await provider(baseURL).generate({
+      capability: "text",
+      prompt: "and now?",
+      messages: [
+        { role: "system", content: "be brief" },
+        { role: "user", content: "hi" },
+        { role: "assistant", content: "hello" },
+        { role: "user", content: "and now?" },
+      ],
+      options: { temperature: 0.2, maxTokens: 64 },
+    });
+
+    const body = requests[0].body as unknown as Record<string, unknown>;
+    assertEquals(body.contents, [
+      { role: "user", parts: [{ text: "hi" }] },
+      { role: "model", parts: [{ text: "hello" }] },
+      { role: "user", parts: [{ text: "and now?" }] },
+    ]);
+    assertEquals(body.systemInstruction, { parts: [{ text: "be brief" }] });
+    assertEquals(body.generationConfig, { temperature: 0.2, maxOutputTokens: 64 });
+  });
+});
+
+Deno.test("google provider inlines downloaded images", async () => {
+  await withStub(ok, async (baseURL, requests) => {
+    await provider(baseURL).generate({ capability: "image", prompt: "describe", imgURL: `${baseURL}/media/cat.png` });
+
+    assertEquals(requests[0].path, "/models/flash-img:generateContent");
+    assertEquals(requests[0].body.contents[0].parts, [
+      { inline_data: { mime_type: "image/png", data: "AQID" } },
+      { text: "describe" },
+    ]);
+  });
+});
+
+Deno.test("google provider refuses media on private addresses and oversized files", async () => {
+  await withStub(ok, async (baseURL, requests) => {
+    for (const imgURL of [`${baseURL}/media/cat.png`, "http://169.254.169.254/latest/meta-data", "http://[::1]/a.png"]) {
+      const error = await assertRejects(
+        () => provider(baseURL, {}).generate({ capability: "image", prompt: "describe", imgURL }),
+        ApiError,
+      );
+      assertEquals((error as ApiError).type, "validation");
+      assertEquals((error as ApiError).details.field, "imgURL");
+    }
+
+    const error = await assertRejects(
+      () =>
+        provider(baseURL, { allowPrivateMedia: true, maxMediaBytes: 2 }).generate({
+          capability: "image",
+          prompt: "describe",
+          imgURL: `${baseURL}/media/cat.png`,
+        }),
+      ApiError,
+      "larger than",
+    );
+    assertEquals((error as ApiError).type, "validation");
+    assertEquals(requests.length, 0);
+  });
+});
+
+Deno.test("google provider stops downloading media once it passes the size limit", async () => {
+  let cancelled!: () => void;
+  const closed = new Promise<void>((resolve) => cancelled = resolve);
+  const media = Deno.serve({ port: 0, onListen() {} }, () =>
+    new Response(
+      new ReadableStream({
+        pull: (controller) => controller.enqueue(new Uint8Array(512)),
+        cancel: () => cancelled(),
+      }),
+    ));
+  try {
+    await assertRejects(
+      () =>
+        provider("http://localhost:1").generate({
+          capability: "image",
+          prompt: "describe",
+          imgURL: `http://localhost:${media.addr.port}/endless.png`,
+        }),
+      ApiError,
+      "larger than",
+    );
+    await closed;
+  } finally {
+    await media.shutdown();
+  }
+});
+
+Deno.test("only Google and YouTube hosts are passed on as file parts", () => {
+  assertEquals(isFileURI(new URL("https://youtube.com/watch?v=abc")), true);
+  assertEquals(isFileURI(new URL("https://m.youtube.com/watch?v=abc")), true);
+  assertEquals(isFileURI(new URL("https://evilyoutube.com/watch?v=abc")), false);
+});
+
+Deno.test("private address detection covers loopback, link-local and private ranges", () => {
+  const blocked = ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0", "::1", "fd00::1", "fe80::1"];
+  for (const address of [...blocked, "::ffff:127.0.0.1"]) {
+    assertEquals(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "2001:4860:4860::8888"]) {
+    assertEquals(isPrivateAddress(address), false, address);
+  }
+});
+
+Deno.test("google provider passes YouTube videos as file parts", async () => {
+  await withStub(ok, async (baseURL, requests) => {
+    await provider(baseURL).generate({
+      capability: "video",
+      prompt: "summarize",
+      videoURL: "https://www.youtube.com/watch?v=abc",
+    });
+
+    assertEquals(requests[0].body.contents[0].parts[0], {
+      file_data: { mime_type: "video/mp4", file_uri: "https://www.youtube.com/watch?v=abc" },
+    });
+  });
+});
+
+Deno.test("google provider refuses to start without an API key", () => {
+  assertThrows(() => provider("http://localhost", { apiKey: undefined }), Error, "GOOGLE_API_KEY");
+});
+
+Deno.test("google provider reports API errors and blocked prompts", async () => {
+  await withStub(
+    () => Response.json({ error: { code: 400, message: "API key not valid", status: "INVALID_ARGUMENT" } }, { status: 400 }),
+    async (baseURL) => {
+      const error = await assertRejects(() => provider(baseURL).generate({ capability: "text", prompt: "hi" }), ApiError);
+      assertEquals((error as ApiError).type, "upstream_rejected");
+      assertEquals((error as ApiError).details.upstreamMessage, "API key not valid");
+    },
+  );
+
+  await withStub(
+    () => Response.json({ error: { code: 429, message: "Quota exceeded" } }, { status: 429 }),
+    async (baseURL) => {
+      const error = await assertRejects(() => provider(baseURL).generate({ capability: "text", prompt: "hi" }), ApiError);
+      assertEquals((error as ApiError).type, "rate_limited");
+    },
+  );
+
+  await withStub(
+    () => Response.json({ promptFeedback: { blockReason: "SAFETY" } }),
+    async (baseURL) => {
+      const error = await assertRejects(() => provider(baseURL).generate({ capability: "text", prompt: "hi" }), ApiError);
+      assertEquals((error as ApiError).type, "content_blocked");
+      assertEquals(error.message, "Response blocked: SAFETY");
+    },
+  );
+});
+
+Deno.test("google provider streams incremental chunks", async () => {
+  const events = [
+    { candidates: [{ content: { parts: [{ text: "Hel" }] } }] },
+    { candidates: [{ content: { parts: [{ text: "lo" }] }, finishReason: "STOP" }] },
+  ];
+  const respond = () =>
+    new Response(events.map((event) => `data: ${JSON.stringify(event)}\r\n\r\n`).join(""), {
+      headers: { "Content-Type": "text/event-stream" },
+    });
+
+  await withStub(respond, async (baseURL, requests) => {
+    const stream = provider(baseURL).stream!({ capability: "text", prompt: "hi" });
+    const chunks: string[] = [];
+    let next = await stream.next();
+    while (!next.done) {
+      chunks.push(next.value);
+      next = await stream.next();
+    }
+
+    assertEquals(requests[0].path, "/models/flash:streamGenerateContent");
+    assertEquals(chunks, ["Hel", "lo"]);
+    assertEquals(next.value, { reply: "Hello", finishReason: "STOP" });
+  });
+});
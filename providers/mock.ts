@@ -0,0 +1,125 @@
+import { ApiError } from "../errors.ts";
+import type { ErrorType } from "../errors.ts";
+import { CAPABILITIES } from "./types.ts";
+import type { Capability, GenerateRequest, GenerateResult, Provider } from "./types.ts";
+
+export interface MockReply {
+  capability?: Capability;
+  prompt?: string;
+  pattern?: string;
+  reply?: string;
+  error?: { type: ErrorType; message: string };
+}
+
+export interface MockFixtures {
+  replies: MockReply[];
+  default?: string;
+}
+
+export interface MockConfig {
+  fixturesPath?: string;
+}
+
+function compile(pattern: string, where: string): RegExp {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`${where}: invalid pattern ${JSON.stringify(pattern)} (${(error as Error).message})`);
+  }
+}
+
+function checkReply(entry: unknown, where: string): MockReply {
+  if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const reply = entry as Record<string, unknown>;
+  for (const field of ["prompt", "pattern", "reply"]) {
+    if (reply[field] !== undefined && typeof reply[field] !== "string") {
+      throw new Error(`${where}.${field} must be a string`);
+    }
+  }
+  if (reply.capability !== undefined && !CAPABILITIES.includes(reply.capability as Capability)) {
+    throw new Error(`${where}.capability must be one of ${CAPABILITIES.join(", ")}`);
+  }
+  if (reply.pattern !== undefined) {
+    compile(reply.pattern as string, where);
+  }
+  const error = reply.error as MockReply["error"];
+  if (error !== undefined && (typeof error?.type !== "string" || typeof error.message !== "string")) {
+    throw new Error(`${where}.error must have a string type and message`);
+  }
+  if (error !== undefined && new ApiError(error.type, error.message).status === undefined) {
+    throw new Error(`${where}.error.type "${error.type}" is not a known error type`);
+  }
+  return reply as MockReply;
+}
+
+export function loadMockFixtures(path: string): MockFixtures {
+  const fixtures = JSON.parse(Deno.readTextFileSync(path));
+  if (!Array.isArray(fixtures.replies)) {
+    throw new Error(`Mock fixtures in ${path} must have a "replies" array`);
+  }
+  if (fixtures.default !== undefined && typeof fixtures.default !== "string") {
+    throw new Error(`Mock fixtures in ${path}: "default" must be a string`);
+  }
+  return {
+    ...fixtures,
+    replies: fixtures.replies.map((entry: unknown, i: number) => checkReply(entry, `Mock fixtures in ${path}: replies[${i}]`)),
+  };
+}
+
+export function createMockProvider(fixtures: MockFixtures): Provider {
+  const patterns = new Map<MockReply, RegExp>();
+  fixtures.replies.forEach((entry, i) => {
+    if (entry.pattern !== undefined) {
+      patterns.set(entry, compile(entry.pattern, `Mock replies[${i}]`));
+    }
+  });
+
+  function matches(entry: MockReply, request: GenerateRequest): boolean {
+    if (entry.capability && entry.capability !== request.capability) {
+      return false;
+    }
+    if (entry.prompt !== undefined) {
+      return entry.prompt === request.prompt;
+    }
+    return patterns.get(entry)?.test(request.prompt) ?? true;
+  }
+
+  function find(request: GenerateRequest): MockReply | undefined {
+    const exact = fixtures.replies.find((entry) => entry.prompt !== undefined && matches(entry, request));
+    return exact ?? fixtures.replies.find((entry) => entry.prompt === undefined && matches(entry, request));
+  }
+
+  function answer(request: GenerateRequest): GenerateResult {
+    const entry = find(request);
+    if (entry?.error) {
+      throw new ApiError(entry.error.type, entry.error.message, { upstreamMessage: entry.error.message });
+    }
+    const reply = entry?.reply ?? fixtures.default;
+    if (reply === undefined) {
+      throw new ApiError("upstream_rejected", `No mock reply matches the prompt "${request.prompt}"`);
+    }
+    return { reply: reply.replaceAll("{prompt}", request.prompt), finishReason: "STOP" };
+  }
+
+  return {
+    name: "mock",
+    capabilities: ["text", "advance", "image", "video"],
+    generate(request: GenerateRequest) {
+      try {
+        return Promise.resolve(answer(request));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    },
+    async *stream(request: GenerateRequest) {
+      const result = answer(request);
+      for (const chunk of result.reply.match(/\S+\s*|\s+/g) ?? []) {
+        await Promise.resolve();
+        yield chunk;
+      }
+      return result;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import { assertEquals, assertRejects, assertThrows } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "../errors.ts";
+import { createMockProvider, loadMockFixtures } from "./mock.ts";
+
+const provider = createMockProvider({
+  replies: [
+    { pattern: "^weather", reply: "Cloudy everywhere" },
+    { prompt: "weather in Paris", reply: "Sunny in Paris" },
+    { capability: "video", pattern: ".", reply: "A video about {prompt}" },
+    { prompt: "overloaded", error: { type: "upstream_unavailable", message: "Try again later" } },
+  ],
+});
+
+Deno.test("mock provider prefers exact prompts over patterns", async () => {
+  assertEquals((await provider.generate({ capability: "text", prompt: "weather in Paris" })).reply, "Sunny in Paris");
+  assertEquals((await provider.generate({ capability: "text", prompt: "weather in Oslo" })).reply, "Cloudy everywhere");
+  assertEquals((await provider.generate({ capability: "video", prompt: "cats" })).reply, "A video about cats");
+});
+
+Deno.test("mock provider raises scripted errors and rejects unmatched prompts", async () => {
+  const error = await assertRejects(() => provider.generate({ capability: "text", prompt: "overloaded" }), ApiError) as ApiError;
+  assertEquals(error.type, "upstream_unavailable");
+
+  const unmatched = await assertRejects(() => provider.generate({ capability: "text", prompt: "cats" }), ApiError) as ApiError;
+  assertEquals(unmatched.type, "upstream_rejected");
+});
+
+Deno.test("mock provider streams the scripted reply word by word", async () => {
+  const chunks: string[] = [];
+  const stream = provider.stream!({ capability: "text", prompt: "weather in Paris" });
+  let next = await stream.next();
+  while (!next.done) {
+    chunks.push(next.value);
+    next = await stream.next();
+  }
+  assertEquals(chunks, ["Sunny ", "in ", "Paris"]);
+  assertEquals(next.value.reply, "Sunny in Paris");
+});
+
+Deno.test("mock fixtures are checked when they load", async () => {
+  const path = await Deno.makeTempFile({ suffix: ".json" });
+  const load = async (fixtures: unknown) => {
+    await Deno.writeTextFile(path, JSON.stringify(fixtures));
+    return () => loadMockFixtures(path);
+  };
+  try {
+    assertEquals((await load({ replies: [{ pattern: "^hi", reply: "hello" }] }))().replies.length, 1);
+    assertThrows(await load({ replies: [{ pattern: "(", reply: "oops" }] }), Error, "replies[0]: invalid pattern");
+    assertThrows(await load({ replies: [{ capability: "audio", reply: "oops" }] }), Error, "replies[0].capability");
+    assertThrows(await load({ replies: [{ error: { type: "teapot", message: "oops" } }] }), Error, "not a known error type");
+    assertThrows(await load({ replies: [], default: 42 }), Error, "default");
+  } finally {
+    await Deno.remove(path);
+  }
+  assertThrows(() => createMockProvider({ replies: [{ pattern: "[" }] }), Error, "invalid pattern");
+});
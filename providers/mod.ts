@@ -0,0 +1,85 @@
+import { withCircuitBreaker } from "../breaker.ts";
+import type { BreakerRegistry } from "../breaker.ts";
+import { withCoalescing } from "../coalesce.ts";
+import type { Config } from "../config.ts";
+import { withFallbacks } from "../failover.ts";
+import type { Metrics } from "../metrics.ts";
+import { withRetry } from "../retry.ts";
+import { withTimeout } from "../timeout.ts";
+import { createGoogleProvider } from "./google.ts";
+import { createMockProvider, loadMockFixtures } from "./mock.ts";
+import { createNyxsProvider } from "./nyxs.ts";
+import { createOllamaProvider } from "./ollama.ts";
+import { createReplayProvider, withRecording } from "./recording.ts";
+import { CAPABILITIES } from "./types.ts";
+import type { Capability, Provider } from "./types.ts";
+
+export type {
+  CacheMatch,
+  Capability,
+  ChatMessage,
+  GenerateRequest,
+  GenerateResult,
+  GenerationOptions,
+  Provider,
+  ResultMeta,
+  Usage,
+} from "./types.ts";
+export { CAPABILITIES } from "./types.ts";
+
+const factories: Record<string, (config: Config) => Provider> = {
+  nyxs: (config) => createNyxsProvider(config.nyxs),
+  google: (config) => createGoogleProvider(config.google),
+  ollama: (config) => createOllamaProvider(config.ollama),
+  mock: (config) =>
+    createMockProvider(
+      config.mock.fixturesPath ? loadMockFixtures(config.mock.fixturesPath) : { replies: [], default: "Mock reply to: {prompt}" },
+    ),
+};
+
+export function createProvider(name: string, config: Config): Provider {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}"`);
+  }
+  const provider = factory(config);
+
+  if (config.recording.mode === "record") {
+    return withRecording(provider, config.recording.dir);
+  }
+  if (config.recording.mode === "replay") {
+    return createReplayProvider(provider, config.recording.dir);
+  }
+  return provider;
+}
+
+export function createRouteProviders(
+  config: Config,
+  metrics: Metrics,
+  breakers: BreakerRegistry,
+): Record<Capability, Provider> {
+  const instances = new Map<string, Provider>();
+  const routes = {} as Record<Capability, Provider>;
+
+  for (const capability of CAPABILITIES) {
+    const chain = config.routes[capability].map((name) => {
+      let provider = instances.get(name);
+      if (!provider) {
+        provider = createProvider(name, config);
+        instances.set(name, provider);
+      }
+      if (!provider.capabilities.includes(capability)) {
+        throw new Error(`Provider "${name}" does not support the "${capability}" route`);
+      }
+      return withRetry(
+        withCircuitBreaker(withTimeout(provider, config.timeouts[capability], metrics), breakers),
+        config.retry[name] ?? config.retry.default,
+        metrics,
+      );
+    });
+    const provider = withFallbacks(chain, metrics);
+    routes[capability] = config.coalesce ? withCoalescing(provider, metrics) : provider;
+  }
+
+  return routes;
+}
@@ -0,0 +1,63 @@
+import { ApiError, upstreamError } from "../errors.ts";
+import { transcript } from "../tokens.ts";
+import { upstreamURL } from "../upstream.ts";
+import type { Capability, GenerateRequest, GenerateResult, Provider } from "./types.ts";
+
+export interface NyxsConfig {
+  baseURL: string;
+}
+
+const endpoints: Record<Capability, string> = {
+  text: "gemini",
+  advance: "gemini-advance",
+  image: "gemini-img",
+  video: "gemini-video",
+};
+
+async function fetchAndFormatResponse(url: string, signal?: AbortSignal): Promise<GenerateResult> {
+  let response: Response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    signal?.throwIfAborted();
+    throw new ApiError("upstream_unavailable", "Upstream request failed", {
+      upstreamMessage: (error as Error).message,
+    });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    signal?.throwIfAborted();
+    if (!response.ok) {
+      throw upstreamError(response.status, `Upstream responded with HTTP ${response.status}`, response.headers.get("Retry-After"));
+    }
+    throw new ApiError("upstream_unavailable", "Upstream returned malformed JSON", {
+      upstreamStatus: response.status,
+    });
+  }
+
+  if (data?.status === "true" && typeof data.result === "string") {
+    return { reply: data.result };
+  }
+
+  const message = typeof data?.message === "string" ? data.message : "Upstream request failed";
+  if (response.ok) {
+    throw new ApiError("upstream_rejected", message, { upstreamMessage: message, upstreamStatus: response.status });
+  }
+  throw upstreamError(response.status, message, response.headers.get("Retry-After"));
+}
+
+export function createNyxsProvider(config: NyxsConfig): Provider {
+  return {
+    name: "nyxs",
+    capabilities: ["text", "advance", "image", "video"],
+    generate(request: GenerateRequest) {
+      const text = request.messages && request.messages.length > 1 ? transcript(request.messages) : request.prompt;
+      const media: Partial<Record<Capability, string>> = { image: request.imgURL, video: request.videoURL };
+      const apiUrl = upstreamURL(config.baseURL, endpoints[request.capability], { text, url: media[request.capability] });
+      return fetchAndFormatResponse(apiUrl, request.signal);
+    },
+  };
+}
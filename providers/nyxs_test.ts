@@ -0,0 +1,57 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "../errors.ts";
+import { createNyxsProvider } from "./nyxs.ts";
+
+Deno.test("nyxs provider cannot be made to smuggle upstream parameters", async () => {
+  const seen: URLSearchParams[] = [];
+  const server = Deno.serve({ port: 0, onListen() {} }, (req) => {
+    seen.push(new URL(req.url).searchParams);
+    return Response.json({ status: "true", result: "ok" });
+  });
+
+  try {
+    const provider = createNyxsProvider({ baseURL: `http://localhost:${server.addr.port}/ai` });
+    await provider.generate({
+      capability: "image",
+      prompt: "describe&url=https://evil.example/x.png#",
+      imgURL: "https://img.example/cat.png?size=large&format=png",
+    });
+
+    assertEquals([...seen[0].entries()], [
+      ["text", "describe&url=https://evil.example/x.png#"],
+      ["url", "https://img.example/cat.png?size=large&format=png"],
+    ]);
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("nyxs provider maps upstream failures onto error types", async () => {
+  const responses = [
+    () => Response.json({ status: "false", message: "Prompt rejected" }),
+    () => Response.json({ message: "Overloaded" }, { status: 503 }),
+    () => Response.json({ message: "Slow down" }, { status: 429, headers: { "Retry-After": "7" } }),
+    () => new Response("<html>", { status: 200 }),
+  ];
+  let next = 0;
+  const server = Deno.serve({ port: 0, onListen() {} }, () => responses[next++]());
+
+  try {
+    const provider = createNyxsProvider({ baseURL: `http://localhost:${server.addr.port}/ai` });
+    const failures: ApiError[] = [];
+    for (let i = 0; i < responses.length; i++) {
+      failures.push(await assertRejects(() => provider.generate({ capability: "text", prompt: "hi" }), ApiError) as ApiError);
+    }
+
+    assertEquals(failures.map((error) => error.type), [
+      "upstream_rejected",
+      "upstream_unavailable",
+      "rate_limited",
+      "upstream_unavailable",
+    ]);
+    assertEquals(failures[0].details.upstreamMessage, "Prompt rejected");
+    assertEquals(failures[2].details.retryAfter, 7);
+  } finally {
+    await server.shutdown();
+  }
+});
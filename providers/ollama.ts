@@ -0,0 +1,154 @@
+import { ApiError, upstreamError } from "../errors.ts";
+import { readJSONLines } from "../streaming.ts";
+import { transcript } from "../tokens.ts";
+import { upstreamURL } from "../upstream.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./types.ts";
+
+export interface OllamaConfig {
+  baseURL: string;
+  api: "ollama" | "llamacpp";
+  models: { text: string; advance: string };
+}
+
+interface OllamaChunk {
+  response?: string;
+  message?: { content?: string };
+  content?: string;
+  done?: boolean;
+  stop?: boolean;
+  done_reason?: string;
+  stopped_limit?: boolean;
+  prompt_eval_count?: number;
+  eval_count?: number;
+  tokens_evaluated?: number;
+  tokens_predicted?: number;
+  error?: string | { message?: string };
+}
+
+const finishReasons: Record<string, string> = {
+  stop: "STOP",
+  length: "MAX_TOKENS",
+};
+
+function endpoint(config: OllamaConfig, request: GenerateRequest): { path: string; body: Record<string, unknown> } {
+  const model = request.capability === "advance" ? config.models.advance : config.models.text;
+  const { temperature, maxTokens } = request.options ?? {};
+
+  if (config.api === "llamacpp") {
+    const prompt = request.messages && request.messages.length > 1
+      ? `${transcript(request.messages)}\nAssistant:`
+      : request.prompt;
+    return { path: "completion", body: { prompt, temperature, n_predict: maxTokens } };
+  }
+
+  const options = { temperature, num_predict: maxTokens };
+  if (request.messages && request.messages.length > 0) {
+    return { path: "api/chat", body: { model, messages: request.messages, options } };
+  }
+  return { path: "api/generate", body: { model, prompt: request.prompt, options } };
+}
+
+function chunkText(chunk: OllamaChunk): string {
+  return chunk.message?.content ?? chunk.response ?? chunk.content ?? "";
+}
+
+function chunkError(chunk: OllamaChunk): string | undefined {
+  return typeof chunk.error === "string" ? chunk.error : chunk.error?.message;
+}
+
+function result(reply: string, last: OllamaChunk): GenerateResult {
+  const promptTokens = last.prompt_eval_count ?? last.tokens_evaluated;
+  const completionTokens = last.eval_count ?? last.tokens_predicted;
+  const reason = last.done_reason ?? (last.stopped_limit ? "length" : "stop");
+
+  return {
+    reply,
+    finishReason: finishReasons[reason] ?? reason.toUpperCase(),
+    ...(promptTokens !== undefined && completionTokens !== undefined && {
+      usage: { promptTokens, completionTokens },
+    }),
+  };
+}
+
+export function createOllamaProvider(config: OllamaConfig): Provider {
+  async function call(request: GenerateRequest, stream: boolean): Promise<Response> {
+    const { path, body } = endpoint(config, request);
+    let response: Response;
+    try {
+      response = await fetch(upstreamURL(config.baseURL, path), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, stream }),
+        signal: request.signal,
+      });
+    } catch (error) {
+      request.signal?.throwIfAborted();
+      throw new ApiError("upstream_unavailable", "Upstream request failed", {
+        upstreamMessage: (error as Error).message,
+      });
+    }
+
+    if (!response.ok) {
+      let message = `Upstream responded with HTTP ${response.status}`;
+      try {
+        message = chunkError(await response.json()) ?? message;
+      } catch {
+        request.signal?.throwIfAborted();
+      }
+      throw upstreamError(response.status, message, response.headers.get("Retry-After"));
+    }
+    return response;
+  }
+
+  return {
+    name: "ollama",
+    capabilities: ["text", "advance"],
+    async generate(request: GenerateRequest) {
+      const response = await call(request, false);
+      let data: OllamaChunk;
+      try {
+        data = await response.json();
+      } catch {
+        request.signal?.throwIfAborted();
+        throw new ApiError("upstream_unavailable", "Upstream returned malformed JSON", {
+          upstreamStatus: response.status,
+        });
+      }
+      const error = chunkError(data);
+      if (error) {
+        throw new ApiError("upstream_rejected", error, { upstreamMessage: error, upstreamStatus: response.status });
+      }
+      return result(chunkText(data), data);
+    },
+    async *stream(request: GenerateRequest) {
+      const response = await call(request, true);
+      if (!response.body) {
+        throw new ApiError("upstream_unavailable", "Upstream returned an empty body");
+      }
+
+      let reply = "";
+      let last: OllamaChunk = {};
+      for await (const line of readJSONLines(response.body)) {
+        let chunk: OllamaChunk;
+        try {
+          chunk = JSON.parse(line);
+        } catch {
+          throw new ApiError("upstream_unavailable", "Upstream returned malformed JSON", {
+            upstreamStatus: response.status,
+          });
+        }
+        const error = chunkError(chunk);
+        if (error) {
+          throw new ApiError("upstream_rejected", error, { upstreamMessage: error, upstreamStatus: response.status });
+        }
+        const text = chunkText(chunk);
+        if (text) {
+          reply += text;
+          yield text;
+        }
+        last = chunk;
+      }
+      return result(reply, last);
+    },
+  };
+}
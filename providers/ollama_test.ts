@@ -0,0 +1,125 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "../errors.ts";
+import { createOllamaProvider } from "./ollama.ts";
+import type { OllamaConfig } from "./ollama.ts";
+
+interface Captured {
+  path: string;
+  body: Record<string, unknown>;
+}
+
+function ndjson(lines: unknown[]): Response {
+  return new Response(lines.map((line) => JSON.stringify(line) + "\n").join(""), {
+    headers: { "Content-Type": "application/x-ndjson" },
+  });
+}
+
+function ollamaStub(captured: Captured): Response {
+  const { path, body } = captured;
+  if (body.model === "missing") {
+    return Response.json({ error: "model 'missing' not found" }, { status: 404 });
+  }
+  if (path === "/api/generate") {
+    const done = { response: "", done: true, done_reason: "stop", prompt_eval_count: 3, eval_count: 2 };
+    return body.stream
+      ? ndjson([{ response: "Hi", done: false }, { response: " there", done: false }, done])
+      : Response.json({ ...done, response: "Hi there" });
+  }
+  if (path === "/api/chat") {
+    return Response.json({
+      message: { role: "assistant", content: `${(body.messages as unknown[]).length} messages` },
+      done: true,
+      done_reason: "length",
+    });
+  }
+  if (path === "/completion") {
+    return Response.json({ content: "llama says hi", stop: true, tokens_evaluated: 4, tokens_predicted: 3 });
+  }
+  return new Response("not found", { status: 404 });
+}
+
+async function withStub(fn: (baseURL: string, requests: Captured[]) => Promise<void>) {
+  const requests: Captured[] = [];
+  const server = Deno.serve({ port: 0, onListen() {} }, async (req) => {
+    const captured = { path: new URL(req.url).pathname, body: await req.json() };
+    requests.push(captured);
+    return ollamaStub(captured);
+  });
+  try {
+    await fn(`http://localhost:${server.addr.port}`, requests);
+  } finally {
+    await server.shutdown();
+  }
+}
+
+function provider(baseURL: string, overrides: Partial<OllamaConfig> = {}) {
+  return createOllamaProvider({ baseURL, api: "ollama", models: { text: "llama3", advance: "llama3:70b" }, ...overrides });
+}
+
+Deno.test("ollama provider generates single prompts through /api/generate", async () => {
+  await withStub(async (baseURL, requests) => {
+    const result = await provider(baseURL).generate({
+      capability: "advance",
+      prompt: "hello",
+      options: { temperature: 0.1, maxTokens: 20 },
+    });
+
+    assertEquals(result, { reply: "Hi there", finishReason: "STOP", usage: { promptTokens: 3, completionTokens: 2 } });
+    assertEquals(requests[0].body, {
+      model: "llama3:70b",
+      prompt: "hello",
+      options: { temperature: 0.1, num_predict: 20 },
+      stream: false,
+    });
+  });
+});
+
+Deno.test("ollama provider replays conversations through /api/chat", async () => {
+  await withStub(async (baseURL, requests) => {
+    const result = await provider(baseURL).generate({
+      capability: "text",
+      prompt: "and now?",
+      messages: [{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }, { role: "user", content: "and now?" }],
+    });
+
+    assertEquals(requests[0].path, "/api/chat");
+    assertEquals(result.reply, "3 messages");
+    assertEquals(result.finishReason, "MAX_TOKENS");
+  });
+});
+
+Deno.test("ollama provider streams NDJSON chunks", async () => {
+  await withStub(async (baseURL) => {
+    const stream = provider(baseURL).stream!({ capability: "text", prompt: "hello" });
+    const chunks: string[] = [];
+    let next = await stream.next();
+    while (!next.done) {
+      chunks.push(next.value);
+      next = await stream.next();
+    }
+
+    assertEquals(chunks, ["Hi", " there"]);
+    assertEquals(next.value.reply, "Hi there");
+  });
+});
+
+Deno.test("ollama provider speaks the llama.cpp /completion API", async () => {
+  await withStub(async (baseURL, requests) => {
+    const result = await provider(baseURL, { api: "llamacpp" }).generate({ capability: "text", prompt: "hello" });
+
+    assertEquals(requests[0].path, "/completion");
+    assertEquals(result, { reply: "llama says hi", finishReason: "STOP", usage: { promptTokens: 4, completionTokens: 3 } });
+  });
+});
+
+Deno.test("ollama provider reports unknown models", async () => {
+  await withStub(async (baseURL) => {
+    const error = await assertRejects(
+      () => provider(baseURL, { models: { text: "missing", advance: "missing" } }).generate({ capability: "text", prompt: "hi" }),
+      ApiError,
+    );
+
+    assertEquals((error as ApiError).type, "upstream_rejected");
+    assertEquals(error.message, "model 'missing' not found");
+  });
+});
@@ -0,0 +1,75 @@
+import { ApiError } from "../errors.ts";
+import type { ErrorDetails, ErrorType } from "../errors.ts";
+import { sha256Hex } from "../helpers.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./types.ts";
+
+export type RecordingMode = "off" | "record" | "replay";
+
+interface Exchange {
+  provider: string;
+  request: Omit<GenerateRequest, "signal">;
+  result?: GenerateResult;
+  error?: { type: ErrorType; message: string; details: ErrorDetails };
+}
+
+function recordedRequest(request: GenerateRequest): Omit<GenerateRequest, "signal"> {
+  const { signal: _, ...rest } = request;
+  return rest;
+}
+
+async function exchangePath(dir: string, provider: string, request: GenerateRequest): Promise<string> {
+  const hash = await sha256Hex(JSON.stringify([provider, recordedRequest(request)]));
+  return `${dir}/${provider}/${hash}.json`;
+}
+
+export function withRecording(provider: Provider, dir: string): Provider {
+  async function save(request: GenerateRequest, outcome: Pick<Exchange, "result" | "error">) {
+    const path = await exchangePath(dir, provider.name, request);
+    const exchange: Exchange = { provider: provider.name, request: recordedRequest(request), ...outcome };
+    await Deno.mkdir(`${dir}/${provider.name}`, { recursive: true });
+    await Deno.writeTextFile(path, JSON.stringify(exchange, null, 2) + "\n");
+  }
+
+  return {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      try {
+        const result = await provider.generate(request);
+        await save(request, { result });
+        return result;
+      } catch (error) {
+        if (error instanceof ApiError && error.type !== "cancelled") {
+          await save(request, { error: { type: error.type, message: error.message, details: error.details } });
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+export function createReplayProvider(provider: Provider, dir: string): Provider {
+  return {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      const path = await exchangePath(dir, provider.name, request);
+      let exchange: Exchange;
+      try {
+        exchange = JSON.parse(await Deno.readTextFile(path));
+      } catch (error) {
+        if (error instanceof Deno.errors.NotFound) {
+          throw new ApiError(
+            "upstream_rejected",
+            `No recorded ${provider.name} exchange for this request; record it with RECORDING_MODE=record`,
+          );
+        }
+        throw error;
+      }
+      if (exchange.error) {
+        throw new ApiError(exchange.error.type, exchange.error.message, exchange.error.details);
+      }
+      return exchange.result!;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "../errors.ts";
+import { createMockProvider } from "./mock.ts";
+import { createReplayProvider, withRecording } from "./recording.ts";
+
+Deno.test("recorded exchanges replay without reaching the upstream", async () => {
+  const dir = await Deno.makeTempDir();
+  const upstream = createMockProvider({
+    replies: [
+      { prompt: "hello", reply: "Hi there" },
+      { prompt: "blocked", error: { type: "content_blocked", message: "Blocked by safety filters" } },
+    ],
+  });
+
+  try {
+    const recorder = withRecording(upstream, dir);
+    await recorder.generate({ capability: "text", prompt: "hello" });
+    await assertRejects(() => recorder.generate({ capability: "text", prompt: "blocked" }), ApiError);
+
+    const offline = createMockProvider({ replies: [] });
+    const replay = createReplayProvider(offline, dir);
+    assertEquals((await replay.generate({ capability: "text", prompt: "hello" })).reply, "Hi there");
+
+    const blocked = await assertRejects(() => replay.generate({ capability: "text", prompt: "blocked" }), ApiError) as ApiError;
+    assertEquals(blocked.type, "content_blocked");
+
+    const missing = await assertRejects(() => replay.generate({ capability: "text", prompt: "unseen" }), ApiError) as ApiError;
+    assertEquals(missing.type, "upstream_rejected");
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
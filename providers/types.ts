@@ -0,0 +1,54 @@
+export type Capability = "text" | "advance" | "image" | "video";
+
+export const CAPABILITIES: Capability[] = ["text", "advance", "image", "video"];
+
+export interface ChatMessage {
+  role: "system" | "user" | "assistant";
+  content: string;
+}
+
+export interface GenerationOptions {
+  temperature?: number;
+  maxTokens?: number;
+}
+
+export interface GenerateRequest {
+  capability: Capability;
+  prompt: string;
+  imgURL?: string;
+  videoURL?: string;
+  messages?: ChatMessage[];
+  options?: GenerationOptions;
+  signal?: AbortSignal;
+}
+
+export interface Usage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface CacheMatch {
+  prompt: string;
+  similarity: number;
+}
+
+export interface ResultMeta {
+  provider?: string;
+  attempts?: number;
+  failedOver?: string[];
+  cache?: CacheMatch;
+}
+
+export interface GenerateResult {
+  reply: string;
+  finishReason?: string;
+  usage?: Usage;
+  meta?: ResultMeta;
+}
+
+export interface Provider {
+  name: string;
+  capabilities: Capability[];
+  generate(request: GenerateRequest): Promise<GenerateResult>;
+  stream?(request: GenerateRequest): AsyncGenerator<string, GenerateResult>;
+}
@@ -0,0 +1,151 @@
+import type { ApiKey } from "./auth.ts";
+import { ApiError } from "./errors.ts";
+import { json } from "./helpers.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+import type { Route } from "./router.ts";
+
+export interface QuotaWindow {
+  limit: number | null;
+  used: number;
+  remaining: number | null;
+  resetsAt: string;
+}
+
+export interface QuotaStatus {
+  daily: QuotaWindow;
+  monthly: QuotaWindow;
+}
+
+export interface QuotaStore {
+  consume(key: ApiKey, units: number, now?: Date): Promise<QuotaStatus>;
+  refund(key: ApiKey, units: number, consumedAt: Date): Promise<void>;
+  status(key: ApiKey, now?: Date): Promise<QuotaStatus>;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function windows(now: Date) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { day, month, nextDay, nextMonth };
+}
+
+function quotaWindow(limit: number | undefined, used: number, resetsAt: Date): QuotaWindow {
+  return {
+    limit: limit ?? null,
+    used,
+    remaining: limit === undefined ? null : Math.max(0, limit - used),
+    resetsAt: resetsAt.toISOString(),
+  };
+}
+
+function exhausted(period: string, window: QuotaWindow, now: Date): ApiError {
+  return new ApiError("quota_exceeded", `The ${period} quota of this API key is used up`, {
+    retryAfter: (Date.parse(window.resetsAt) - now.getTime()) / 1000,
+    resetsAt: window.resetsAt,
+  });
+}
+
+export function createQuotaStore(kv: Deno.Kv): QuotaStore {
+  const dayKey = (id: string, day: string) => ["quota", id, "day", day];
+  const monthKey = (id: string, month: string) => ["quota", id, "month", month];
+
+  async function read(key: ApiKey, now: Date) {
+    const { day, month, nextDay, nextMonth } = windows(now);
+    const [daily, monthly] = await kv.getMany<[number, number]>([dayKey(key.id, day), monthKey(key.id, month)]);
+    const status: QuotaStatus = {
+      daily: quotaWindow(key.quota?.daily, daily.value ?? 0, nextDay),
+      monthly: quotaWindow(key.quota?.monthly, monthly.value ?? 0, nextMonth),
+    };
+    return { daily, monthly, status, keys: { day: dayKey(key.id, day), month: monthKey(key.id, month) } };
+  }
+
+  return {
+    async consume(key, units, now = new Date()) {
+      while (true) {
+        const { daily, monthly, status, keys } = await read(key, now);
+        if (status.daily.remaining !== null && status.daily.remaining < 1) {
+          throw exhausted("daily", status.daily, now);
+        }
+        if (status.monthly.remaining !== null && status.monthly.remaining < units) {
+          throw exhausted("monthly", status.monthly, now);
+        }
+
+        const used = { daily: status.daily.used + 1, monthly: status.monthly.used + units };
+        const result = await kv.atomic()
+          .check(daily, monthly)
+          .set(keys.day, used.daily, { expireIn: 2 * DAY_MS })
+          .set(keys.month, used.monthly, { expireIn: 62 * DAY_MS })
+          .commit();
+        if (result.ok) {
+          return {
+            daily: quotaWindow(key.quota?.daily, used.daily, new Date(status.daily.resetsAt)),
+            monthly: quotaWindow(key.quota?.monthly, used.monthly, new Date(status.monthly.resetsAt)),
+          };
+        }
+      }
+    },
+    async refund(key, units, consumedAt) {
+      while (true) {
+        const { daily, monthly, status, keys } = await read(key, consumedAt);
+        const result = await kv.atomic()
+          .check(daily, monthly)
+          .set(keys.day, Math.max(0, status.daily.used - 1), { expireIn: 2 * DAY_MS })
+          .set(keys.month, Math.max(0, status.monthly.used - units), { expireIn: 62 * DAY_MS })
+          .commit();
+        if (result.ok) {
+          return;
+        }
+      }
+    },
+    async status(key, now = new Date()) {
+      return (await read(key, now)).status;
+    },
+  };
+}
+
+export function refundOnFailure(provider: Provider, refund: () => Promise<void>): Provider {
+  const wrapped: Provider = {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      try {
+        return await provider.generate(request);
+      } catch (error) {
+        await refund();
+        throw error;
+      }
+    },
+  };
+
+  if (provider.stream) {
+    const stream = provider.stream.bind(provider);
+    wrapped.stream = async function* (request: GenerateRequest): AsyncGenerator<string, GenerateResult> {
+      try {
+        return yield* stream(request);
+      } catch (error) {
+        await refund();
+        throw error;
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+export function createQuotaRoutes(store: QuotaStore): Route[] {
+  return [
+    {
+      method: "GET",
+      path: "/quota",
+      async handler(_req, _params, ctx) {
+        if (!ctx.apiKey) {
+          throw new ApiError("unauthorized", "Quotas belong to API keys; send one to see its remaining budget");
+        }
+        return json({ code: "200", key: ctx.apiKey.id, quota: await store.status(ctx.apiKey) });
+      },
+    },
+  ];
+}
@@ -0,0 +1,76 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import type { ApiKey } from "./auth.ts";
+import { ApiError } from "./errors.ts";
+import { createQuotaStore, refundOnFailure } from "./quota.ts";
+
+const key: ApiKey = { id: "mobile", hash: "", scopes: ["text", "video"], quota: { daily: 3, monthly: 8 } };
+
+Deno.test("daily quotas count requests and reset at midnight UTC", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const quotas = createQuotaStore(kv);
+    const now = new Date("2024-06-10T22:00:00Z");
+    for (let i = 0; i < 3; i++) {
+      await quotas.consume(key, 1, now);
+    }
+
+    const error = await assertRejects(() => quotas.consume(key, 1, now), ApiError) as ApiError;
+    assertEquals(error.type, "quota_exceeded");
+    assertEquals(error.status, 429);
+    assertEquals(error.details.resetsAt, "2024-06-11T00:00:00.000Z");
+    assertEquals(error.details.retryAfter, 7200);
+
+    const status = await quotas.consume(key, 1, new Date("2024-06-11T00:00:01Z"));
+    assertEquals(status.daily, { limit: 3, used: 1, remaining: 2, resetsAt: "2024-06-12T00:00:00.000Z" });
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("monthly quotas count weighted units", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const quotas = createQuotaStore(kv);
+    await quotas.consume(key, 5, new Date("2024-06-01T10:00:00Z"));
+    await quotas.consume(key, 1, new Date("2024-06-02T10:00:00Z"));
+
+    const error = await assertRejects(
+      () => quotas.consume(key, 5, new Date("2024-06-03T10:00:00Z")),
+      ApiError,
+    ) as ApiError;
+    assertEquals(error.message, "The monthly quota of this API key is used up");
+    assertEquals(error.details.resetsAt, "2024-07-01T00:00:00.000Z");
+
+    const status = await quotas.status(key, new Date("2024-06-03T10:00:00Z"));
+    assertEquals(status.monthly, { limit: 8, used: 6, remaining: 2, resetsAt: "2024-07-01T00:00:00.000Z" });
+    assertEquals(status.daily.used, 0);
+
+    const unlimited = await quotas.status({ ...key, quota: undefined }, new Date("2024-06-03T10:00:00Z"));
+    assertEquals(unlimited.monthly.remaining, null);
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("failed generations hand their units back", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const quotas = createQuotaStore(kv);
+    const consumedAt = new Date("2024-06-10T10:00:00Z");
+    await quotas.consume(key, 2, consumedAt);
+    const refund = () => quotas.refund(key, 2, consumedAt);
+
+    const failing = refundOnFailure({
+      name: "failing",
+      capabilities: ["text"],
+      generate: () => Promise.reject(new ApiError("upstream_unavailable", "down")),
+    }, refund);
+    await assertRejects(() => failing.generate({ capability: "text", prompt: "hi" }), ApiError);
+
+    const status = await quotas.status(key, consumedAt);
+    assertEquals(status.daily.used, 0);
+    assertEquals(status.monthly.used, 0);
+  } finally {
+    kv.close();
+  }
+});
@@ -0,0 +1,170 @@
+import { ApiError } from "./errors.ts";
+import type { Context, Middleware } from "./middleware.ts";
+import type { Capability } from "./providers/mod.ts";
+
+export interface BucketLimit {
+  burst: number;
+  perMinute: number;
+}
+
+export interface RateLimitConfig {
+  store: "memory" | "kv";
+  key?: BucketLimit;
+  ip?: BucketLimit;
+  routes: Partial<Record<Capability, BucketLimit>>;
+  costs: Record<Capability, number>;
+}
+
+export interface Bucket {
+  name: string;
+  limit: BucketLimit;
+}
+
+export interface BucketStatus {
+  name: string;
+  limit: number;
+  remaining: number;
+  resetSeconds: number;
+  retryAfterSeconds?: number;
+}
+
+export interface BucketStore {
+  take(buckets: Bucket[], cost: number, now: number): Promise<BucketStatus[]>;
+}
+
+interface BucketState {
+  tokens: number;
+  updatedAt: number;
+}
+
+function refill(state: BucketState | undefined, limit: BucketLimit, now: number): number {
+  if (!state) {
+    return limit.burst;
+  }
+  const elapsedMinutes = Math.max(0, now - state.updatedAt) / 60000;
+  return Math.min(limit.burst, state.tokens + elapsedMinutes * limit.perMinute);
+}
+
+function status(bucket: Bucket, tokens: number, cost: number, allowed: boolean): BucketStatus {
+  const { burst, perMinute } = bucket.limit;
+  const result: BucketStatus = {
+    name: bucket.name,
+    limit: burst,
+    remaining: Math.floor(tokens),
+    resetSeconds: Math.ceil(((burst - tokens) / perMinute) * 60),
+  };
+  if (!allowed) {
+    result.retryAfterSeconds = Math.ceil(((Math.min(cost, burst) - tokens) / perMinute) * 60);
+  }
+  return result;
+}
+
+function settle(buckets: Bucket[], states: (BucketState | undefined)[], cost: number, now: number) {
+  const tokens = buckets.map((bucket, i) => refill(states[i], bucket.limit, now));
+  const allowed = buckets.every((bucket, i) => tokens[i] >= Math.min(cost, bucket.limit.burst));
+  const after = allowed ? tokens.map((available, i) => available - Math.min(cost, buckets[i].limit.burst)) : tokens;
+  return {
+    allowed,
+    states: after.map((available) => ({ tokens: available, updatedAt: now })),
+    statuses: buckets.map((bucket, i) =>
+      status(bucket, after[i], cost, allowed || tokens[i] >= Math.min(cost, bucket.limit.burst))
+    ),
+  };
+}
+
+export function createMemoryBucketStore(maxBuckets = 10000): BucketStore {
+  const states = new Map<string, BucketState>();
+
+  return {
+    take(buckets, cost, now) {
+      const result = settle(buckets, buckets.map((bucket) => states.get(bucket.name)), cost, now);
+      if (result.allowed) {
+        buckets.forEach((bucket, i) => states.set(bucket.name, result.states[i]));
+      }
+      if (states.size > maxBuckets) {
+        for (const [name] of states) {
+          states.delete(name);
+          if (states.size <= maxBuckets / 2) {
+            break;
+          }
+        }
+      }
+      return Promise.resolve(result.statuses);
+    },
+  };
+}
+
+export function createKvBucketStore(kv: Deno.Kv): BucketStore {
+  const bucketKey = (name: string) => ["rate_limits", name];
+
+  return {
+    async take(buckets, cost, now) {
+      while (true) {
+        const entries = await kv.getMany<BucketState[]>(buckets.map((bucket) => bucketKey(bucket.name)));
+        const result = settle(buckets, entries.map((entry) => entry.value ?? undefined), cost, now);
+        if (!result.allowed) {
+          return result.statuses;
+        }
+
+        const op = kv.atomic();
+        buckets.forEach((bucket, i) => {
+          const fullInMs = ((bucket.limit.burst - result.states[i].tokens) / bucket.limit.perMinute) * 60000;
+          op.check(entries[i]).set(bucketKey(bucket.name), result.states[i], { expireIn: Math.ceil(fullInMs) + 1000 });
+        });
+        if ((await op.commit()).ok) {
+          return result.statuses;
+        }
+      }
+    },
+  };
+}
+
+const scopes: Record<string, string> = {
+  key: "this API key",
+  ip: "this client address",
+  route: "this route",
+};
+
+export function createRateLimiter(config: RateLimitConfig, store: BucketStore, now: () => number = Date.now) {
+  return {
+    async check(ctx: Context, capability: Capability): Promise<void> {
+      const buckets: Bucket[] = [];
+      if (config.key && ctx.apiKey) {
+        buckets.push({ name: `key:${ctx.apiKey.id}`, limit: config.key });
+      }
+      if (config.ip) {
+        buckets.push({ name: `ip:${ctx.clientIp}`, limit: config.ip });
+      }
+      const route = config.routes[capability];
+      if (route) {
+        buckets.push({ name: `route:${capability}`, limit: route });
+      }
+      if (buckets.length === 0) {
+        return;
+      }
+
+      const statuses = await store.take(buckets, config.costs[capability], now());
+      const denied = statuses.find((bucket) => bucket.retryAfterSeconds !== undefined);
+      ctx.rateLimit = denied ??
+        statuses.reduce((tightest, bucket) => bucket.remaining < tightest.remaining ? bucket : tightest);
+      if (denied) {
+        throw new ApiError("rate_limited", `Rate limit exceeded for ${scopes[denied.name.split(":")[0]]}`, {
+          retryAfter: denied.retryAfterSeconds,
+        });
+      }
+    },
+  };
+}
+
+export function rateLimitHeaders(): Middleware {
+  return {
+    name: "rateLimitHeaders",
+    after(ctx, response) {
+      if (ctx.rateLimit) {
+        response.headers.set("X-RateLimit-Limit", String(ctx.rateLimit.limit));
+        response.headers.set("X-RateLimit-Remaining", String(ctx.rateLimit.remaining));
+        response.headers.set("X-RateLimit-Reset", String(ctx.rateLimit.resetSeconds));
+      }
+    },
+  };
+}
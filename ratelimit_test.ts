@@ -0,0 +1,64 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { createContext } from "./middleware.ts";
+import { createKvBucketStore, createMemoryBucketStore, createRateLimiter } from "./ratelimit.ts";
+import type { BucketStore, RateLimitConfig } from "./ratelimit.ts";
+
+const config: RateLimitConfig = {
+  store: "memory",
+  key: { burst: 10, perMinute: 60 },
+  routes: { video: { burst: 5, perMinute: 5 } },
+  costs: { text: 1, advance: 2, image: 3, video: 5 },
+};
+
+function keyed(id: string) {
+  const ctx = createContext(new Request("http://localhost/gemini"));
+  ctx.apiKey = { id, hash: "", scopes: ["text", "video"] };
+  return ctx;
+}
+
+async function exercise(store: BucketStore) {
+  let now = 0;
+  const limiter = createRateLimiter(config, store, () => now);
+
+  for (let i = 0; i < 10; i++) {
+    await limiter.check(keyed("a"), "text");
+  }
+  const ctx = keyed("a");
+  const error = await assertRejects(() => limiter.check(ctx, "text"), ApiError) as ApiError;
+  assertEquals(error.type, "rate_limited");
+  assertEquals(error.details.retryAfter, 1);
+  assertEquals(ctx.rateLimit?.remaining, 0);
+
+  await limiter.check(keyed("b"), "text");
+
+  now += 5000;
+  const refilled = keyed("a");
+  await limiter.check(refilled, "advance");
+  assertEquals(refilled.rateLimit, { name: "key:a", limit: 10, remaining: 3, resetSeconds: 7 });
+}
+
+Deno.test("token buckets refill over time and are kept per key", () => exercise(createMemoryBucketStore()));
+
+Deno.test("token buckets can be shared through Deno KV", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    await exercise(createKvBucketStore(kv));
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("costly routes drain their own bucket without charging a denied request", async () => {
+  const limiter = createRateLimiter(config, createMemoryBucketStore(), () => 0);
+
+  await limiter.check(keyed("a"), "video");
+  const ctx = keyed("b");
+  const error = await assertRejects(() => limiter.check(ctx, "video"), ApiError) as ApiError;
+  assertEquals(error.message, "Rate limit exceeded for this route");
+  assertEquals(error.details.retryAfter, 60);
+
+  const other = keyed("b");
+  await limiter.check(other, "text");
+  assertEquals(other.rateLimit?.remaining, 9);
+});
@@ -0,0 +1,111 @@
+import { ApiError } from "./errors.ts";
+import type { ErrorType } from "./errors.ts";
+import type { Metrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+const transient: ErrorType[] = ["upstream_unavailable", "upstream_timeout", "rate_limited"];
+
+export function retryDelay(policy: RetryPolicy, attempt: number, error: ApiError, random = Math.random): number | null {
+  const backoff = random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  const retryAfter = error.details.retryAfter;
+  if (retryAfter === undefined) {
+    return backoff;
+  }
+  const wait = retryAfter * 1000;
+  return wait > policy.maxDelayMs ? null : Math.max(wait, backoff);
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError("cancelled", "Client closed the request"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+export function withRetry(provider: Provider, policy: RetryPolicy, metrics: Metrics): Provider {
+  async function backOff(error: unknown, request: GenerateRequest, attempt: number): Promise<void> {
+    const delay = error instanceof ApiError && transient.includes(error.type) && attempt < policy.maxAttempts
+      ? retryDelay(policy, attempt, error)
+      : null;
+    if (delay === null) {
+      if (error instanceof ApiError) {
+        error.details.attempts = attempt;
+      }
+      throw error;
+    }
+
+    const apiError = error as ApiError;
+    console.warn(
+      `[retry] ${provider.name} ${request.capability} attempt ${attempt}/${policy.maxAttempts} failed ` +
+        `(${apiError.type}: ${apiError.message}); retrying in ${Math.round(delay)} ms`,
+    );
+    metrics.increment("upstream_retries_total", { route: request.capability, provider: provider.name });
+    await sleep(delay, request.signal);
+  }
+
+  const wrapped: Provider = {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      for (let attempt = 1;; attempt++) {
+        try {
+          const result = await provider.generate(request);
+          return { ...result, meta: { ...result.meta, attempts: attempt } };
+        } catch (error) {
+          await backOff(error, request, attempt);
+        }
+      }
+    },
+  };
+
+  if (provider.stream) {
+    const stream = provider.stream.bind(provider);
+    wrapped.stream = async function* (request: GenerateRequest): AsyncGenerator<string, GenerateResult> {
+      for (let attempt = 1;; attempt++) {
+        const chunks = stream(request);
+        let started = false;
+        let finished = false;
+        try {
+          while (true) {
+            const next = await chunks.next();
+            if (next.done) {
+              finished = true;
+              return { ...next.value, meta: { ...next.value.meta, attempts: attempt } };
+            }
+            started = true;
+            yield next.value;
+          }
+        } catch (error) {
+          finished = true;
+          if (started) {
+            throw error;
+          }
+          await backOff(error, request, attempt);
+        } finally {
+          if (!finished) {
+            await chunks.return(undefined as never);
+          }
+        }
+      }
+    };
+  }
+
+  return wrapped;
+}
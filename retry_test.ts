@@ -0,0 +1,69 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { createMetrics } from "./metrics.ts";
+import type { Provider } from "./providers/mod.ts";
+import { retryDelay, withRetry } from "./retry.ts";
+
+const policy = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 50 };
+
+function flaky(failures: ApiError[]): Provider & { calls: number } {
+  const provider = {
+    name: "flaky",
+    capabilities: ["text" as const],
+    calls: 0,
+    generate() {
+      const failure = failures[provider.calls++];
+      return failure ? Promise.reject(failure) : Promise.resolve({ reply: "ok" });
+    },
+  };
+  return provider;
+}
+
+Deno.test("retryDelay uses capped exponential backoff with full jitter", () => {
+  const error = new ApiError("upstream_unavailable", "down");
+  const slow = { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 1000 };
+
+  assertEquals(retryDelay(slow, 1, error, () => 0.5), 50);
+  assertEquals(retryDelay(slow, 3, error, () => 0.5), 200);
+  assertEquals(retryDelay(slow, 5, error, () => 1), 1000);
+  assertEquals(retryDelay(slow, 1, error, () => 0), 0);
+});
+
+Deno.test("retryDelay honours Retry-After unless it exceeds the cap", () => {
+  const slow = { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 5000 };
+
+  assertEquals(retryDelay(slow, 1, new ApiError("rate_limited", "slow", { retryAfter: 2 }), () => 0), 2000);
+  assertEquals(retryDelay(slow, 1, new ApiError("rate_limited", "slow", { retryAfter: 60 }), () => 0), null);
+});
+
+Deno.test("withRetry retries transient failures and reports the attempts", async () => {
+  const metrics = createMetrics();
+  const upstream = flaky([new ApiError("upstream_unavailable", "down"), new ApiError("upstream_timeout", "slow")]);
+
+  const result = await withRetry(upstream, policy, metrics).generate({ capability: "text", prompt: "hi" });
+
+  assertEquals(result, { reply: "ok", meta: { attempts: 3 } });
+  assertEquals(metrics.get("upstream_retries_total", { route: "text", provider: "flaky" }), 2);
+});
+
+Deno.test("withRetry gives up after maxAttempts", async () => {
+  const upstream = flaky(Array(5).fill(new ApiError("upstream_unavailable", "down")));
+
+  const error = await assertRejects(
+    () => withRetry(upstream, policy, createMetrics()).generate({ capability: "text", prompt: "hi" }),
+    ApiError,
+  );
+
+  assertEquals(upstream.calls, 3);
+  assertEquals((error as ApiError).details.attempts, 3);
+});
+
+Deno.test("withRetry does not retry permanent failures", async () => {
+  for (const type of ["upstream_rejected", "content_blocked", "validation", "cancelled"] as const) {
+    const upstream = flaky([new ApiError(type, "no")]);
+
+    await assertRejects(() => withRetry(upstream, policy, createMetrics()).generate({ capability: "text", prompt: "hi" }));
+
+    assertEquals(upstream.calls, 1, type);
+  }
+});
@@ -0,0 +1,130 @@
+import { ApiError } from "./errors.ts";
+import type { Context } from "./middleware.ts";
+
+export type RouteParams = Record<string, string>;
+
+export type RouteHandler = (req: Request, params: RouteParams, ctx: Context) => Response | Promise<Response>;
+
+export type RouteMiddleware = (
+  req: Request,
+  params: RouteParams,
+  next: () => Promise<Response>,
+  ctx: Context,
+) => Promise<Response>;
+
+export interface Route {
+  method: string | string[];
+  path: string;
+  handler: RouteHandler;
+  middleware?: RouteMiddleware[];
+}
+
+interface CompiledRoute {
+  route: Route;
+  methods: string[];
+  segments: string[];
+  wildcard: boolean;
+}
+
+export interface Router {
+  handle(ctx: Context): Promise<Response>;
+  label(pathname: string): string;
+}
+
+function split(path: string): string[] {
+  return path.split("/").filter(Boolean);
+}
+
+function compile(route: Route): CompiledRoute {
+  const segments = split(route.path);
+  const wildcard = segments.at(-1) === "*";
+  const methods = [route.method].flat().map((method) => method.toUpperCase());
+  return {
+    route,
+    methods: methods.includes("GET") && !methods.includes("HEAD") ? [...methods, "HEAD"] : methods,
+    segments: wildcard ? segments.slice(0, -1) : segments,
+    wildcard,
+  };
+}
+
+function matchPath(compiled: CompiledRoute, parts: string[]): RouteParams | undefined {
+  const { segments, wildcard } = compiled;
+  if (wildcard ? parts.length < segments.length : parts.length !== segments.length) {
+    return undefined;
+  }
+
+  const params: RouteParams = {};
+  for (const [index, segment] of segments.entries()) {
+    if (segment.startsWith(":")) {
+      params[segment.slice(1)] = parts[index];
+    } else if (segment !== parts[index]) {
+      return undefined;
+    }
+  }
+  if (wildcard) {
+    params["*"] = parts.slice(segments.length).join("/");
+  }
+  return params;
+}
+
+export function prefix(path: string, routes: Route[], middleware: RouteMiddleware[] = []): Route[] {
+  const base = path.replace(/\/+$/, "");
+  return routes.map((route) => ({
+    ...route,
+    path: route.path === "/" ? base : `${base}${route.path}`,
+    middleware: [...middleware, ...route.middleware ?? []],
+  }));
+}
+
+export function createRouter(routes: Route[]): Router {
+  const compiled = routes.map(compile);
+
+  function find(pathname: string) {
+    let parts: string[];
+    try {
+      parts = split(pathname).map(decodeURIComponent);
+    } catch {
+      return [];
+    }
+    return compiled.flatMap((candidate) => {
+      const params = matchPath(candidate, parts);
+      return params ? [{ candidate, params }] : [];
+    });
+  }
+
+  return {
+    handle(ctx: Context): Promise<Response> {
+      const req = ctx.request;
+      const matches = find(new URL(req.url).pathname);
+      if (matches.length === 0) {
+        return Promise.reject(new ApiError("not_found", "Endpoint not found"));
+      }
+
+      const match = matches.find(({ candidate }) => candidate.methods.includes(req.method));
+      if (!match) {
+        const allow = [...new Set(matches.flatMap(({ candidate }) => candidate.methods))];
+        return Promise.reject(
+          new ApiError("method_not_allowed", `${req.method} is not allowed on this endpoint`, { allow }),
+        );
+      }
+
+      const { route } = match.candidate;
+      const middleware = route.middleware ?? [];
+      const run = (index: number): Promise<Response> =>
+        index < middleware.length
+          ? middleware[index](req, match.params, () => run(index + 1), ctx)
+          : Promise.resolve().then(() => route.handler(req, match.params, ctx));
+      if (req.method === "HEAD") {
+        return run(0).then(async (response) => {
+          await response.body?.cancel();
+          return new Response(null, { status: response.status, statusText: response.statusText, headers: response.headers });
+        });
+      }
+      return run(0);
+    },
+
+    label(pathname: string): string {
+      return find(pathname)[0]?.candidate.route.path ?? "unmatched";
+    },
+  };
+}
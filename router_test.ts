@@ -0,0 +1,82 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { createContext } from "./middleware.ts";
+import { createRouter, prefix } from "./router.ts";
+import type { RouteMiddleware } from "./router.ts";
+
+const echo = (_req: Request, params: Record<string, string>) => Response.json(params);
+
+Deno.test("router extracts path parameters and wildcards", async () => {
+  const router = createRouter([
+    { method: "GET", path: "/sessions/:id", handler: echo },
+    { method: "POST", path: "/sessions/:id/fork", handler: echo },
+    { method: "GET", path: "/files/*", handler: echo },
+  ]);
+
+  const session = await router.handle(createContext(new Request("http://localhost/sessions/a%20b")));
+  assertEquals(await session.json(), { id: "a b" });
+
+  const fork = await router.handle(createContext(new Request("http://localhost/sessions/42/fork", { method: "POST" })));
+  assertEquals(await fork.json(), { id: "42" });
+
+  const file = await router.handle(createContext(new Request("http://localhost/files/docs/readme.md")));
+  assertEquals(await file.json(), { "*": "docs/readme.md" });
+
+  assertEquals(router.label("/sessions/42"), "/sessions/:id");
+  assertEquals(router.label("/nope"), "unmatched");
+});
+
+Deno.test("router answers wrong methods with 405 and the allowed ones", async () => {
+  const router = createRouter([
+    { method: "GET", path: "/sessions/:id", handler: echo },
+    { method: "DELETE", path: "/sessions/:id", handler: echo },
+  ]);
+
+  const error = await assertRejects(
+    () => router.handle(createContext(new Request("http://localhost/sessions/42", { method: "PUT" }))),
+    ApiError,
+  ) as ApiError;
+  assertEquals(error.status, 405);
+  assertEquals(error.details.allow, ["GET", "HEAD", "DELETE"]);
+
+  const missing = await assertRejects(
+    () => router.handle(createContext(new Request("http://localhost/other"))),
+    ApiError,
+  ) as ApiError;
+  assertEquals(missing.status, 404);
+});
+
+Deno.test("router answers HEAD wherever it answers GET, without a body", async () => {
+  const router = createRouter([
+    { method: "GET", path: "/status", handler: () => Response.json({ ok: true }, { headers: { "X-Status": "up" } }) },
+    { method: "POST", path: "/gemini", handler: echo },
+  ]);
+
+  const head = await router.handle(createContext(new Request("http://localhost/status", { method: "HEAD" })));
+  assertEquals(head.status, 200);
+  assertEquals(head.headers.get("X-Status"), "up");
+  assertEquals(head.headers.get("Content-Type"), "application/json");
+  assertEquals(head.body, null);
+
+  const error = await assertRejects(
+    () => router.handle(createContext(new Request("http://localhost/gemini", { method: "HEAD" }))),
+    ApiError,
+  ) as ApiError;
+  assertEquals(error.details.allow, ["POST"]);
+});
+
+Deno.test("prefixed groups run their middleware before each route's own", async () => {
+  const order: string[] = [];
+  const mark = (name: string): RouteMiddleware => async (_req, _params, next) => {
+    order.push(`${name} before`);
+    const response = await next();
+    order.push(`${name} after`);
+    return response;
+  };
+
+  const status = { method: "GET", path: "/status", handler: () => new Response("ok"), middleware: [mark("route")] };
+  const router = createRouter(prefix("/admin", [status], [mark("group")]));
+
+  assertEquals(await (await router.handle(createContext(new Request("http://localhost/admin/status")))).text(), "ok");
+  assertEquals(order, ["group before", "route before", "route after", "group after"]);
+});
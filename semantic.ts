@@ -0,0 +1,205 @@
+import type { CacheEntry } from "./cache.ts";
+import type { CacheMatch, Capability, GenerateResult, GenerationOptions } from "./providers/mod.ts";
+
+export interface SemanticMatch extends CacheEntry, CacheMatch {}
+
+export interface SemanticCache {
+  find(
+    capability: Capability,
+    prompt: string,
+    options?: GenerationOptions,
+    maxAgeSeconds?: number,
+    owner?: string,
+  ): SemanticMatch | undefined;
+  set(
+    capability: Capability,
+    prompt: string,
+    options: GenerationOptions | undefined,
+    result: GenerateResult,
+    owner?: string,
+  ): void;
+}
+
+interface SemanticEntry extends CacheEntry {
+  scope: string;
+  prompt: string;
+  intent: Intent;
+  vector: Float32Array;
+}
+
+function hash(feature: string): number {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const stopWords = new Set(
+  "a an and are as at be by did do does for from i in is it me my of on or please tell the to with you".split(" "),
+);
+
+const questionWords: Record<string, string> = {
+  how: "how",
+  hows: "how",
+  what: "what",
+  whats: "what",
+  when: "when",
+  where: "where",
+  wheres: "where",
+  which: "which",
+  who: "who",
+  whos: "who",
+  whom: "who",
+  whose: "whose",
+  why: "why",
+};
+
+const negations = new Set(
+  "not no never without cannot cant dont doesnt didnt isnt arent wasnt werent wont wouldnt shouldnt couldnt".split(" "),
+);
+
+const modals = new Set("can could should would will may might must".split(" "));
+
+const QUESTION_WEIGHT = 2;
+const MODAL_WEIGHT = 2;
+const NEGATION_WEIGHT = 4;
+
+function words(text: string): string[] {
+  return text.normalize("NFKC").toLowerCase().replace(/['’]/g, "").match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+export interface Intent {
+  questions: string[];
+  negated: boolean;
+}
+
+export function intent(text: string): Intent {
+  const questions = new Set<string>();
+  let negated = false;
+  for (const word of words(text)) {
+    if (questionWords[word]) {
+      questions.add(questionWords[word]);
+    } else if (negations.has(word)) {
+      negated = true;
+    }
+  }
+  return { questions: [...questions].sort(), negated };
+}
+
+export function compatible(a: Intent, b: Intent): boolean {
+  if (a.negated !== b.negated) {
+    return false;
+  }
+  return a.questions.length === 0 || b.questions.length === 0 || a.questions.join() === b.questions.join();
+}
+
+function features(text: string): [string, number][] {
+  return words(text).flatMap((word): [string, number][] => {
+    if (questionWords[word]) {
+      return [[`q:${questionWords[word]}`, QUESTION_WEIGHT]];
+    }
+    if (negations.has(word)) {
+      return [["n:not", NEGATION_WEIGHT]];
+    }
+    if (modals.has(word)) {
+      return [[`m:${word}`, MODAL_WEIGHT]];
+    }
+    if (stopWords.has(word)) {
+      return [];
+    }
+    const padded = `#${word}#`;
+    const grams: [string, number][] = [[`w:${word}`, 1]];
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.push([`c:${padded.slice(i, i + 3)}`, 1]);
+    }
+    return grams;
+  });
+}
+
+export function embed(text: string, dimensions = 512): Float32Array {
+  const vector = new Float32Array(dimensions);
+  for (const [feature, weight] of features(text)) {
+    const h = hash(feature);
+    vector[h % dimensions] += h & 0x80000000 ? -weight : weight;
+  }
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+export function similarity(a: Float32Array, b: Float32Array): number {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+function scopeOf(capability: Capability, options: GenerationOptions = {}, owner?: string): string {
+  return JSON.stringify([owner ?? null, capability, options.temperature ?? null, options.maxTokens ?? null]);
+}
+
+export function createSemanticCache(
+  threshold: number,
+  ttlSeconds: number,
+  maxEntries: number,
+  now: () => number = Date.now,
+): SemanticCache {
+  const entries = new Map<string, SemanticEntry>();
+
+  return {
+    find(capability, prompt, options, maxAgeSeconds, owner) {
+      const scope = scopeOf(capability, options, owner);
+      const vector = embed(prompt);
+      const asked = intent(prompt);
+      let best: { entry: SemanticEntry; similarity: number } | undefined;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now()) {
+          entries.delete(key);
+          continue;
+        }
+        if (entry.scope !== scope || (maxAgeSeconds !== undefined && now() - entry.storedAt > maxAgeSeconds * 1000)) {
+          continue;
+        }
+        if (!compatible(asked, entry.intent)) {
+          continue;
+        }
+        const score = similarity(vector, entry.vector);
+        if (score >= threshold && (!best || score > best.similarity)) {
+          best = { entry, similarity: score };
+        }
+      }
+      if (!best) {
+        return undefined;
+      }
+
+      const { entry } = best;
+      const match: CacheMatch = { prompt: entry.prompt, similarity: Math.round(best.similarity * 10000) / 10000 };
+      return {
+        ...match,
+        result: { ...entry.result, meta: { ...entry.result.meta, cache: match } },
+        storedAt: entry.storedAt,
+        expiresAt: entry.expiresAt,
+      };
+    },
+    set(capability, prompt, options, result, owner) {
+      const scope = scopeOf(capability, options, owner);
+      const key = JSON.stringify([scope, prompt.trim()]);
+      const storedAt = now();
+      entries.delete(key);
+      entries.set(key, {
+        scope,
+        prompt: prompt.trim(),
+        intent: intent(prompt),
+        vector: embed(prompt),
+        result,
+        storedAt,
+        expiresAt: storedAt + ttlSeconds * 1000,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value!);
+      }
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import { assert, assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { compatible, createSemanticCache, embed, intent, similarity } from "./semantic.ts";
+
+Deno.test("paraphrases embed closer together than different questions", () => {
+  const question = embed("What is the capital of France?");
+
+  assert(similarity(question, embed("What is the capital city of France?")) > 0.85);
+  assert(similarity(question, embed("What is the capital of Germany?")) < 0.7);
+  assertEquals(similarity(question, embed("Summarize the news")), 0);
+});
+
+Deno.test("semantic cache returns the closest reply above the threshold with its score", () => {
+  const cache = createSemanticCache(0.85, 60, 10, () => 0);
+  cache.set("text", "What is the capital of France?", {}, { reply: "Paris", meta: { provider: "nyxs" } });
+  cache.set("text", "What is the capital of Germany?", {}, { reply: "Berlin" });
+
+  const match = cache.find("text", "What is the capital city of France?");
+  assertEquals(match?.result.reply, "Paris");
+  assertEquals(match?.result.meta, {
+    provider: "nyxs",
+    cache: { prompt: "What is the capital of France?", similarity: match!.similarity },
+  });
+  assertEquals(cache.find("text", "What is the capital of Spain?"), undefined);
+});
+
+Deno.test("semantic cache keeps routes, options and API keys apart and forgets old replies", () => {
+  let now = 0;
+  const cache = createSemanticCache(0.85, 60, 10, () => now);
+  cache.set("text", "Explain quantum computing", { temperature: 0.2 }, { reply: "qubits" });
+
+  assertEquals(cache.find("advance", "Explain quantum computing", { temperature: 0.2 }), undefined);
+  assertEquals(cache.find("text", "Explain quantum computing"), undefined);
+  assertEquals(cache.find("text", "explain quantum computing", { temperature: 0.2 })?.similarity, 1);
+
+  cache.set("text", "Explain string theory", {}, { reply: "strings" }, "alice");
+  assertEquals(cache.find("text", "Explain string theory", {}, undefined, "bob"), undefined);
+  assertEquals(cache.find("text", "Explain string theory"), undefined);
+  assertEquals(cache.find("text", "Explain string theory", {}, undefined, "alice")?.result.reply, "strings");
+
+  now = 30000;
+  assertEquals(cache.find("text", "Explain quantum computing", { temperature: 0.2 }, 10), undefined);
+  now = 60000;
+  assertEquals(cache.find("text", "Explain quantum computing", { temperature: 0.2 }), undefined);
+});
+
+Deno.test("question words and negations are part of what a prompt means", () => {
+  assert(similarity(embed("Why did Rome fall?"), embed("How did Rome fall?")) < 0.8);
+  assert(similarity(embed("What is the capital of France"), embed("What is not the capital of France")) < 0.8);
+
+  assertEquals(intent("What isn't the capital of France?"), { questions: ["what"], negated: true });
+  assertEquals(compatible(intent("Why did Rome fall?"), intent("How did Rome fall?")), false);
+  assertEquals(compatible(intent("Is Paris big?"), intent("Is Paris not big?")), false);
+  assertEquals(compatible(intent("Rome's fall, explained"), intent("Why did Rome fall?")), true);
+});
+
+Deno.test("semantic cache never answers a different question or its negation", () => {
+  const cache = createSemanticCache(0.5, 60, 10, () => 0);
+  cache.set("text", "Why did Rome fall?", {}, { reply: "Many reasons" });
+  cache.set("text", "What is the capital of France", {}, { reply: "Paris" });
+
+  assertEquals(cache.find("text", "How did Rome fall?"), undefined);
+  assertEquals(cache.find("text", "What is not the capital of France"), undefined);
+  assertEquals(cache.find("text", "why did rome fall")?.result.reply, "Many reasons");
+});
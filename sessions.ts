@@ -0,0 +1,171 @@
+import { ApiError, ValidationError } from "./errors.ts";
+import { json, readJSONObject } from "./helpers.ts";
+import type { ChatMessage } from "./providers/mod.ts";
+import type { Route } from "./router.ts";
+
+export interface Session {
+  id: string;
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+  owner?: string;
+  forkedFrom?: string;
+}
+
+export interface SessionWithMessages extends Session {
+  messages: ChatMessage[];
+}
+
+export interface SessionStore {
+  create(system?: string, owner?: string): Promise<Session>;
+  get(id: string, owner?: string): Promise<SessionWithMessages | null>;
+  list(owner?: string): Promise<Session[]>;
+  append(id: string, messages: ChatMessage[]): Promise<Session | null>;
+  fork(id: string, owner?: string): Promise<Session | null>;
+  delete(id: string, owner?: string): Promise<boolean>;
+}
+
+export function createSessionStore(kv: Deno.Kv): SessionStore {
+  const sessionKey = (id: string) => ["sessions", id];
+  const messagesPrefix = (id: string) => ["session_messages", id];
+
+  async function owned(id: string, owner?: string): Promise<Deno.KvEntryMaybe<Session>> {
+    const entry = await kv.get<Session>(sessionKey(id));
+    return entry.value && entry.value.owner !== owner ? { key: entry.key, value: null, versionstamp: null } : entry;
+  }
+
+  async function messages(id: string): Promise<ChatMessage[]> {
+    const result: ChatMessage[] = [];
+    for await (const entry of kv.list<ChatMessage>({ prefix: messagesPrefix(id) })) {
+      result.push(entry.value);
+    }
+    return result;
+  }
+
+  async function append(id: string, added: ChatMessage[]): Promise<Session | null> {
+    while (true) {
+      const entry = await kv.get<Session>(sessionKey(id));
+      if (!entry.value) {
+        return null;
+      }
+
+      const session = {
+        ...entry.value,
+        messageCount: entry.value.messageCount + added.length,
+        updatedAt: new Date().toISOString(),
+      };
+      const op = kv.atomic().check(entry).set(sessionKey(id), session);
+      added.forEach((message, i) => op.set([...messagesPrefix(id), entry.value.messageCount + i], message));
+      if ((await op.commit()).ok) {
+        return session;
+      }
+    }
+  }
+
+  async function create(initial: ChatMessage[], owner?: string, forkedFrom?: string): Promise<Session> {
+    const now = new Date().toISOString();
+    const session: Session = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, messageCount: 0 };
+    if (owner) {
+      session.owner = owner;
+    }
+    if (forkedFrom) {
+      session.forkedFrom = forkedFrom;
+    }
+    await kv.set(sessionKey(session.id), session);
+    return initial.length > 0 ? (await append(session.id, initial))! : session;
+  }
+
+  return {
+    create(system?: string, owner?: string) {
+      return create(system ? [{ role: "system", content: system }] : [], owner);
+    },
+    async get(id: string, owner?: string) {
+      const session = (await owned(id, owner)).value;
+      return session && { ...session, messages: await messages(id) };
+    },
+    async list(owner?: string) {
+      const sessions: Session[] = [];
+      for await (const entry of kv.list<Session>({ prefix: ["sessions"] })) {
+        if (entry.value.owner === owner) {
+          sessions.push(entry.value);
+        }
+      }
+      return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+    append,
+    async fork(id: string, owner?: string) {
+      const session = (await owned(id, owner)).value;
+      return session && create(await messages(id), owner, id);
+    },
+    async delete(id: string, owner?: string) {
+      while (true) {
+        const entry = await owned(id, owner);
+        if (!entry.value) {
+          return false;
+        }
+        if ((await kv.atomic().check(entry).delete(sessionKey(id)).commit()).ok) {
+          break;
+        }
+      }
+      for await (const entry of kv.list({ prefix: messagesPrefix(id) })) {
+        await kv.delete(entry.key);
+      }
+      return true;
+    },
+  };
+}
+
+const notFound = () => new ApiError("not_found", "Session not found");
+
+export function createSessionRoutes(store: SessionStore): Route[] {
+  return [
+    {
+      method: "GET",
+      path: "/sessions",
+      handler: async (_req, _params, ctx) => json({ code: "200", sessions: await store.list(ctx.apiKey?.id) }),
+    },
+    {
+      method: "POST",
+      path: "/sessions",
+      async handler(req, _params, ctx) {
+        const body = req.body ? await readJSONObject(req) : {};
+        if (body.system !== undefined && typeof body.system !== "string") {
+          throw new ValidationError("system", "system must be a string");
+        }
+        return json({ code: "201", session: await store.create(body.system, ctx.apiKey?.id) }, 201);
+      },
+    },
+    {
+      method: "GET",
+      path: "/sessions/:id",
+      async handler(_req, { id }, ctx) {
+        const session = await store.get(id, ctx.apiKey?.id);
+        if (!session) {
+          throw notFound();
+        }
+        return json({ code: "200", session });
+      },
+    },
+    {
+      method: "DELETE",
+      path: "/sessions/:id",
+      async handler(_req, { id }, ctx) {
+        if (!await store.delete(id, ctx.apiKey?.id)) {
+          throw notFound();
+        }
+        return json({ code: "200", reply: "Session deleted" });
+      },
+    },
+    {
+      method: "POST",
+      path: "/sessions/:id/fork",
+      async handler(_req, { id }, ctx) {
+        const session = await store.fork(id, ctx.apiKey?.id);
+        if (!session) {
+          throw notFound();
+        }
+        return json({ code: "201", session }, 201);
+      },
+    },
+  ];
+}
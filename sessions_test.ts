@@ -0,0 +1,94 @@
+import { assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { createSessionStore } from "./sessions.ts";
+
+Deno.test("sessions keep their system prompt and appended turns in order", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createSessionStore(kv);
+    const session = await store.create("be brief");
+    await store.append(session.id, [{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }]);
+
+    const stored = await store.get(session.id);
+    assertEquals(stored?.messageCount, 3);
+    assertEquals(stored?.messages.map((message) => message.content), ["be brief", "hi", "hello"]);
+    assertEquals(await store.append("missing", [{ role: "user", content: "hi" }]), null);
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("forks copy the history and then diverge from the original", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createSessionStore(kv);
+    const original = await store.create();
+    await store.append(original.id, [{ role: "user", content: "hi" }]);
+
+    const fork = await store.fork(original.id);
+    await store.append(fork!.id, [{ role: "user", content: "only in the fork" }]);
+
+    assertEquals(fork?.forkedFrom, original.id);
+    assertEquals((await store.get(original.id))?.messages.length, 1);
+    assertEquals((await store.get(fork!.id))?.messages.length, 2);
+    assertEquals(await store.fork("missing"), null);
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("sessions are listed most recently updated first", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createSessionStore(kv);
+    const older = await store.create();
+    const newer = await store.create();
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await store.append(older.id, [{ role: "user", content: "bump" }]);
+
+    assertEquals((await store.list()).map((session) => session.id), [older.id, newer.id]);
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("deleting a session removes its messages and later appends fail", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createSessionStore(kv);
+    const session = await store.create("be brief");
+    await store.append(session.id, [{ role: "user", content: "hi" }]);
+
+    assertEquals(await store.delete(session.id), true);
+    assertEquals(await store.delete(session.id), false);
+    assertEquals(await store.get(session.id), null);
+    assertEquals(await store.append(session.id, [{ role: "user", content: "late" }]), null);
+
+    const leftovers = [];
+    for await (const entry of kv.list({ prefix: ["session_messages", session.id] })) {
+      leftovers.push(entry);
+    }
+    assertEquals(leftovers, []);
+  } finally {
+    kv.close();
+  }
+});
+
+Deno.test("sessions belong to the key that created them", async () => {
+  const kv = await Deno.openKv(":memory:");
+  try {
+    const store = createSessionStore(kv);
+    const mine = await store.create("secret", "alice");
+    const anonymous = await store.create();
+
+    assertEquals((await store.list("alice")).map((session) => session.id), [mine.id]);
+    assertEquals((await store.list()).map((session) => session.id), [anonymous.id]);
+    assertEquals(await store.get(mine.id, "bob"), null);
+    assertEquals(await store.get(mine.id), null);
+    assertEquals(await store.fork(mine.id, "bob"), null);
+    assertEquals(await store.delete(mine.id, "bob"), false);
+    assertEquals((await store.fork(mine.id, "alice"))?.owner, "alice");
+    assertEquals(await store.delete(mine.id, "alice"), true);
+  } finally {
+    kv.close();
+  }
+});
@@ -0,0 +1,141 @@
+import { errorBody, toApiError } from "./errors.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+export interface ServerSentEvent {
+  event?: string;
+  data: unknown;
+}
+
+export async function* streamReply(
+  provider: Provider,
+  request: GenerateRequest,
+): AsyncGenerator<string, GenerateResult> {
+  if (!provider.stream) {
+    const result = await provider.generate(request);
+    if (result.reply) {
+      yield result.reply;
+    }
+    return result;
+  }
+  return yield* provider.stream(request);
+}
+
+export async function* readServerSentEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let data: string[] = [];
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newline: number;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+
+      if (line === "") {
+        if (data.length > 0) {
+          yield data.join("\n");
+          data = [];
+        }
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+  }
+  if (data.length > 0) {
+    yield data.join("\n");
+  }
+}
+
+export async function* readJSONLines(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newline: number;
+    while ((newline = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) {
+        yield line;
+      }
+    }
+  }
+  if (buffer.trim()) {
+    yield buffer.trim();
+  }
+}
+
+export function wantsEventStream(req: Request, stream: boolean): boolean {
+  return stream || (req.headers.get("Accept") ?? "").includes("text/event-stream");
+}
+
+export function eventStreamResponse(events: AsyncGenerator<ServerSentEvent, unknown>): Response {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      const { value, done } = await events.next();
+      if (done) {
+        controller.close();
+        return;
+      }
+      const event = value.event ? `event: ${value.event}\n` : "";
+      const data = typeof value.data === "string" ? value.data : JSON.stringify(value.data);
+      controller.enqueue(encoder.encode(`${event}data: ${data}\n\n`));
+    },
+    async cancel() {
+      await events.return(undefined);
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    },
+  });
+}
+
+export function streamEnvelope(
+  provider: Provider,
+  request: GenerateRequest,
+  onResult?: (result: GenerateResult) => Promise<void>,
+): Response {
+  return eventStreamResponse((async function* () {
+    const reply = streamReply(provider, request);
+    let chunks = 0;
+    while (true) {
+      let next: IteratorResult<string, GenerateResult>;
+      try {
+        next = await reply.next();
+      } catch (error) {
+        yield { event: "error", data: errorBody(toApiError(error)) };
+        return;
+      }
+      const { value, done } = next;
+      if (done) {
+        const result = value;
+        await onResult?.(result);
+        yield {
+          event: "done",
+          data: {
+            code: "200",
+            reply: result.reply,
+            meta: {
+              provider: provider.name,
+              chunks,
+              finishReason: result.finishReason,
+              usage: result.usage,
+              ...result.meta,
+            },
+          },
+        };
+        return;
+      }
+      chunks++;
+      yield { event: "chunk", data: { text: value } };
+    }
+  })());
+}
@@ -0,0 +1,129 @@
+import { assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import type { GenerateResult, Provider } from "./providers/mod.ts";
+import { readJSONLines, readServerSentEvents, streamEnvelope, wantsEventStream } from "./streaming.ts";
+
+function body(...parts: string[]): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      parts.forEach((part) => controller.enqueue(encoder.encode(part)));
+      controller.close();
+    },
+  });
+}
+
+async function events(response: Response): Promise<{ event: string; data: unknown }[]> {
+  const text = await response.text();
+  return text.trim().split("\n\n").map((block) => {
+    const [event, data] = block.split("\n");
+    return { event: event.replace("event: ", ""), data: JSON.parse(data.replace("data: ", "")) };
+  });
+}
+
+function streaming(chunks: string[], failAfter?: number): Provider {
+  return {
+    name: "streamer",
+    capabilities: ["text"],
+    generate: () => Promise.resolve({ reply: chunks.join("") }),
+    async *stream() {
+      for (const [i, chunk] of chunks.entries()) {
+        if (i === failAfter) {
+          throw new ApiError("upstream_unavailable", "Upstream went away");
+        }
+        yield await Promise.resolve(chunk);
+      }
+      return { reply: chunks.join(""), finishReason: "stop", usage: { promptTokens: 3, completionTokens: 2 } };
+    },
+  };
+}
+
+Deno.test("streamEnvelope sends each chunk and then a done event with the result", async () => {
+  const stored: GenerateResult[] = [];
+  const response = streamEnvelope(streaming(["Hel", "lo"]), { capability: "text", prompt: "hi" }, (result) => {
+    stored.push(result);
+    return Promise.resolve();
+  });
+
+  assertEquals(response.headers.get("Content-Type"), "text/event-stream");
+  assertEquals(await events(response), [
+    { event: "chunk", data: { text: "Hel" } },
+    { event: "chunk", data: { text: "lo" } },
+    {
+      event: "done",
+      data: {
+        code: "200",
+        reply: "Hello",
+        meta: { provider: "streamer", chunks: 2, finishReason: "stop", usage: { promptTokens: 3, completionTokens: 2 } },
+      },
+    },
+  ]);
+  assertEquals(stored.map((result) => result.reply), ["Hello"]);
+});
+
+Deno.test("streamEnvelope sends a provider that cannot stream as a single chunk", async () => {
+  const provider: Provider = {
+    name: "whole",
+    capabilities: ["text"],
+    generate: () => Promise.resolve({ reply: "all at once" }),
+  };
+
+  assertEquals(await events(streamEnvelope(provider, { capability: "text", prompt: "hi" })), [
+    { event: "chunk", data: { text: "all at once" } },
+    { event: "done", data: { code: "200", reply: "all at once", meta: { provider: "whole", chunks: 1 } } },
+  ]);
+});
+
+Deno.test("streamEnvelope ends with an error event when the upstream fails mid-stream", async () => {
+  const stored: GenerateResult[] = [];
+  const response = streamEnvelope(streaming(["Hel", "lo"], 1), { capability: "text", prompt: "hi" }, (result) => {
+    stored.push(result);
+    return Promise.resolve();
+  });
+
+  assertEquals(await events(response), [
+    { event: "chunk", data: { text: "Hel" } },
+    {
+      event: "error",
+      data: {
+        code: "502",
+        reply: "Upstream went away",
+        error: { type: "upstream_unavailable", message: "Upstream went away" },
+      },
+    },
+  ]);
+  assertEquals(stored, []);
+});
+
+Deno.test("wantsEventStream honours the stream flag and the Accept header", () => {
+  const request = (accept?: string) => new Request("http://localhost/gemini", { headers: accept ? { Accept: accept } : {} });
+
+  assertEquals(wantsEventStream(request(), false), false);
+  assertEquals(wantsEventStream(request("application/json"), false), false);
+  assertEquals(wantsEventStream(request(), true), true);
+  assertEquals(wantsEventStream(request("text/event-stream"), false), true);
+  assertEquals(wantsEventStream(request("application/json, text/event-stream;q=0.9"), false), true);
+});
+
+Deno.test("readServerSentEvents joins data lines across chunk boundaries and ignores other fields", async () => {
+  const stream = body(
+    ": keep-alive\n\nevent: message\r\nda",
+    "ta: {\"a\":1}\r\n\r\ndata: first\ndata:second\n",
+    "id: 7\n\ndata: last\n",
+  );
+  const received: string[] = [];
+  for await (const data of readServerSentEvents(stream)) {
+    received.push(data);
+  }
+
+  assertEquals(received, ['{"a":1}', "first\nsecond", "last"]);
+});
+
+Deno.test("readJSONLines yields each non-empty line, including a final one without a newline", async () => {
+  const received: string[] = [];
+  for await (const line of readJSONLines(body('{"a":', '1}\n\n  {"b":2}  \n{"c"', ":3}"))) {
+    received.push(line);
+  }
+
+  assertEquals(received, ['{"a":1}', '{"b":2}', '{"c":3}']);
+});
@@ -0,0 +1,80 @@
+import { ApiError } from "./errors.ts";
+import type { Metrics } from "./metrics.ts";
+import type { GenerateRequest, GenerateResult, Provider } from "./providers/mod.ts";
+
+interface Deadline {
+  request: GenerateRequest;
+  timedOut(): boolean;
+  clear(): void;
+}
+
+function deadline(request: GenerateRequest, ms: number): Deadline {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort(new DOMException(`Upstream did not answer within ${ms} ms`, "TimeoutError"));
+  }, ms);
+  const onAbort = () => controller.abort(request.signal!.reason);
+
+  if (request.signal?.aborted) {
+    onAbort();
+  } else {
+    request.signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    request: { ...request, signal: controller.signal },
+    timedOut: () => timedOut,
+    clear() {
+      clearTimeout(timer);
+      request.signal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+export function withTimeout(provider: Provider, ms: number, metrics: Metrics): Provider {
+  function translate(error: unknown, request: GenerateRequest, limit: Deadline): unknown {
+    const labels = { route: request.capability, provider: provider.name };
+    if (limit.timedOut()) {
+      metrics.increment("upstream_timeouts_total", labels);
+      return new ApiError("upstream_timeout", `Upstream did not answer within ${ms} ms`);
+    }
+    if (request.signal?.aborted) {
+      metrics.increment("upstream_cancelled_total", labels);
+      return new ApiError("cancelled", "Client closed the request");
+    }
+    return error;
+  }
+
+  const wrapped: Provider = {
+    name: provider.name,
+    capabilities: provider.capabilities,
+    async generate(request: GenerateRequest) {
+      const limit = deadline(request, ms);
+      try {
+        return await provider.generate(limit.request);
+      } catch (error) {
+        throw translate(error, request, limit);
+      } finally {
+        limit.clear();
+      }
+    },
+  };
+
+  if (provider.stream) {
+    const stream = provider.stream.bind(provider);
+    wrapped.stream = async function* (request: GenerateRequest): AsyncGenerator<string, GenerateResult> {
+      const limit = deadline(request, ms);
+      try {
+        return yield* stream(limit.request);
+      } catch (error) {
+        throw translate(error, request, limit);
+      } finally {
+        limit.clear();
+      }
+    };
+  }
+
+  return wrapped;
+}
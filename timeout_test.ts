@@ -0,0 +1,50 @@
+import { assertEquals, assertRejects } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { createMetrics } from "./metrics.ts";
+import type { GenerateRequest, Provider } from "./providers/mod.ts";
+import { withTimeout } from "./timeout.ts";
+
+const seen: AbortSignal[] = [];
+
+const hanging: Provider = {
+  name: "hanging",
+  capabilities: ["text"],
+  generate(request: GenerateRequest) {
+    seen.push(request.signal!);
+    return new Promise((_, reject) => {
+      request.signal!.addEventListener("abort", () => reject(request.signal!.reason), { once: true });
+    });
+  },
+};
+
+Deno.test("withTimeout aborts the upstream call once the deadline passes", async () => {
+  const metrics = createMetrics();
+  const provider = withTimeout(hanging, 20, metrics);
+
+  const error = await assertRejects(() => provider.generate({ capability: "text", prompt: "hi" }), ApiError);
+
+  assertEquals((error as ApiError).type, "upstream_timeout");
+  assertEquals(seen.at(-1)!.aborted, true);
+  assertEquals(metrics.get("upstream_timeouts_total", { route: "text", provider: "hanging" }), 1);
+});
+
+Deno.test("withTimeout propagates client disconnects to the upstream call", async () => {
+  const metrics = createMetrics();
+  const provider = withTimeout(hanging, 10_000, metrics);
+  const client = new AbortController();
+
+  const pending = provider.generate({ capability: "text", prompt: "hi", signal: client.signal });
+  client.abort();
+  const error = await assertRejects(() => pending, ApiError);
+
+  assertEquals((error as ApiError).type, "cancelled");
+  assertEquals(seen.at(-1)!.aborted, true);
+  assertEquals(metrics.get("upstream_timeouts_total", { route: "text", provider: "hanging" }), 0);
+  assertEquals(metrics.get("upstream_cancelled_total", { route: "text", provider: "hanging" }), 1);
+});
+
+Deno.test("withTimeout passes results through untouched", async () => {
+  const provider = withTimeout({ ...hanging, generate: () => Promise.resolve({ reply: "ok" }) }, 1000, createMetrics());
+
+  assertEquals(await provider.generate({ capability: "text", prompt: "hi" }), { reply: "ok" });
+});
@@ -0,0 +1,32 @@
+import type { ChatMessage } from "./providers/types.ts";
+import { CONTROL_CHARACTERS } from "./upstream.ts";
+
+const controlCharacters = new RegExp(CONTROL_CHARACTERS.source, "g");
+
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+export function transcript(messages: ChatMessage[]): string {
+  const labels = { system: "System", user: "User", assistant: "Assistant" };
+  return messages.map((message) => `${labels[message.role]}: ${message.content.replace(controlCharacters, "")}`).join("\n");
+}
+
+export function trimToBudget(messages: ChatMessage[], budget: number): ChatMessage[] {
+  const system = messages.filter((message) => message.role === "system");
+  let remaining = budget - system.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+  const kept: ChatMessage[] = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.role === "system") {
+      continue;
+    }
+    remaining -= estimateTokens(message.content);
+    if (remaining < 0) {
+      break;
+    }
+    kept.unshift(message);
+  }
+  return [...system, ...kept];
+}
@@ -0,0 +1,32 @@
+import { assertEquals } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { estimateTokens, transcript, trimToBudget } from "./tokens.ts";
+import type { ChatMessage } from "./providers/mod.ts";
+
+const system: ChatMessage = { role: "system", content: "be brief" };
+const turn = (role: "user" | "assistant", content: string): ChatMessage => ({ role, content });
+
+Deno.test("tokens are estimated at four characters each, rounded up", () => {
+  assertEquals(estimateTokens(""), 0);
+  assertEquals(estimateTokens("abcd"), 1);
+  assertEquals(estimateTokens("abcde"), 2);
+});
+
+Deno.test("trimToBudget keeps system prompts and the most recent turns that fit", () => {
+  const messages = [system, turn("user", "a".repeat(40)), turn("assistant", "b".repeat(40)), turn("user", "c".repeat(8))];
+
+  assertEquals(trimToBudget(messages, 100), messages);
+  assertEquals(trimToBudget(messages, 2 + 10 + 2), [system, messages[2], messages[3]]);
+  assertEquals(trimToBudget(messages, 2 + 2), [system, messages[3]]);
+});
+
+Deno.test("trimToBudget drops older turns even when an earlier one would still fit", () => {
+  const messages = [turn("user", "a"), turn("assistant", "b".repeat(40)), turn("user", "c")];
+
+  assertEquals(trimToBudget(messages, 5), [messages[2]]);
+});
+
+Deno.test("transcript labels each turn and drops control characters from stored replies", () => {
+  const messages = [system, turn("user", "colour?"), turn("assistant", "\u001b[31mred\u001b[0m\u0000")];
+
+  assertEquals(transcript(messages), "System: be brief\nUser: colour?\nAssistant: [31mred[0m");
+});
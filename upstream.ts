@@ -0,0 +1,28 @@
+import { ApiError } from "./errors.ts";
+
+// deno-lint-ignore no-control-regex
+export const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+export function upstreamURL(baseURL: string, path: string, params: Record<string, string | undefined> = {}): string {
+  const url = new URL(baseURL);
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new TypeError(`Upstream base URL must be http(s): ${baseURL}`);
+  }
+
+  const segments = path.split("/").filter(Boolean).map(encodeURIComponent);
+  url.pathname = [url.pathname.replace(/\/+$/, ""), ...segments].join("/");
+  url.search = "";
+  url.hash = "";
+
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (CONTROL_CHARACTERS.test(value)) {
+      throw new ApiError("validation", `Upstream parameter "${name}" contains control characters`);
+    }
+    url.searchParams.set(name, value);
+  }
+
+  return url.href;
+}
@@ -0,0 +1,44 @@
+import { assertEquals, assertThrows } from "https://deno.land/std@0.155.0/testing/asserts.ts";
+import { ApiError } from "./errors.ts";
+import { upstreamURL } from "./upstream.ts";
+
+const hostile = [
+  "a&url=https://evil.example/x",
+  "a#fragment&url=evil",
+  "100% sure? a=b&c",
+  "a+b c",
+  "question?text=override",
+  "%26url%3Devil",
+  "line one\nline two",
+  "emoji 🚀 and ümlauts",
+];
+
+Deno.test("upstreamURL round-trips hostile parameter values exactly", () => {
+  for (const text of hostile) {
+    const url = new URL(upstreamURL("https://api.example/ai", "gemini-img", { text, url: "https://img.example/a.png?x=1&y=2" }));
+
+    assertEquals([...url.searchParams.keys()], ["text", "url"], text);
+    assertEquals(url.searchParams.get("text"), text);
+    assertEquals(url.searchParams.get("url"), "https://img.example/a.png?x=1&y=2");
+    assertEquals(url.hash, "");
+    assertEquals(url.pathname, "/ai/gemini-img");
+  }
+});
+
+Deno.test("upstreamURL cannot be steered by the path or base", () => {
+  assertEquals(upstreamURL("https://api.example/ai/", "gemini?text=x", {}), "https://api.example/ai/gemini%3Ftext%3Dx");
+  assertEquals(upstreamURL("https://api.example/ai?key=1#top", "gemini", { text: "hi" }), "https://api.example/ai/gemini?text=hi");
+  assertThrows(() => upstreamURL("file:///etc/passwd", "gemini"), TypeError);
+});
+
+Deno.test("upstreamURL omits undefined parameters", () => {
+  assertEquals(upstreamURL("https://api.example/ai", "gemini", { text: "hi", url: undefined }), "https://api.example/ai/gemini?text=hi");
+});
+
+Deno.test("upstreamURL rejects control characters", () => {
+  for (const text of ["a\u0000b", "a\u001bb", "a\u007fb", "a\u000cb"]) {
+    const error = assertThrows(() => upstreamURL("https://api.example/ai", "gemini", { text }), ApiError, "control characters");
+    assertEquals((error as ApiError).type, "validation");
+    assertEquals((error as ApiError).status, 400);
+  }
+});
@@ -0,0 +1,96 @@
+import { json } from "./helpers.ts";
+import type { Middleware } from "./middleware.ts";
+import type { Route } from "./router.ts";
+
+export interface RouteUsage {
+  route: string;
+  requests: number;
+  errors: number;
+  averageMs: number;
+  maxMs: number;
+}
+
+export interface KeyUsage {
+  key: string;
+  routes: RouteUsage[];
+}
+
+export interface UsageStore {
+  record(key: string, route: string, status: number, durationMs: number): Promise<void>;
+  get(key: string): Promise<KeyUsage>;
+  list(): Promise<KeyUsage[]>;
+}
+
+type Counter = "requests" | "errors" | "duration_ms" | "max_ms";
+
+export function createUsageStore(kv: Deno.Kv): UsageStore {
+  const counterKey = (key: string, route: string, counter: Counter) => ["usage", key, route, counter];
+
+  async function collect(prefix: string[]): Promise<KeyUsage[]> {
+    const counters = new Map<string, Map<string, Record<Counter, number>>>();
+    for await (const entry of kv.list<Deno.KvU64>({ prefix })) {
+      const [, key, route, counter] = entry.key as [string, string, string, Counter];
+      if (!counters.has(key)) {
+        counters.set(key, new Map());
+      }
+      const routes = counters.get(key)!;
+      if (!routes.has(route)) {
+        routes.set(route, { requests: 0, errors: 0, duration_ms: 0, max_ms: 0 });
+      }
+      routes.get(route)![counter] = Number(entry.value.value);
+    }
+
+    return [...counters].map(([key, routes]) => ({
+      key,
+      routes: [...routes].map(([route, values]) => ({
+        route,
+        requests: values.requests,
+        errors: values.errors,
+        averageMs: values.requests ? Math.round(values.duration_ms / values.requests) : 0,
+        maxMs: values.max_ms,
+      })),
+    }));
+  }
+
+  return {
+    async record(key, route, status, durationMs) {
+      const ms = BigInt(Math.round(durationMs));
+      await kv.atomic()
+        .sum(counterKey(key, route, "requests"), 1n)
+        .sum(counterKey(key, route, "errors"), status >= 400 ? 1n : 0n)
+        .sum(counterKey(key, route, "duration_ms"), ms)
+        .max(counterKey(key, route, "max_ms"), ms)
+        .commit();
+    },
+    async get(key) {
+      return (await collect(["usage", key]))[0] ?? { key, routes: [] };
+    },
+    list() {
+      return collect(["usage"]);
+    },
+  };
+}
+
+export function usageRecorder(store: UsageStore): Middleware {
+  return {
+    name: "usageRecorder",
+    async after(ctx, response) {
+      if (ctx.apiKey) {
+        await store.record(ctx.apiKey.id, ctx.route, response.status, performance.now() - ctx.startedAt);
+      }
+    },
+  };
+}
+
+export function createUsageRoutes(store: UsageStore): Route[] {
+  return [
+    {
+      method: "GET",
+      path: "/usage",
+      async handler(req) {
+        const key = new URL(req.url).searchParams.get("key");
+        return json(key ? { code: "200", usage: await store.get(key) } : { code: "200", usage: await store.list() });
+      },
+    },
+  ];
+}